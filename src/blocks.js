@@ -0,0 +1,73 @@
+// ============================================================
+//  src/blocks.js  —  Block registry
+//
+//  Every voxel stores a block id; BLOCKS[id] describes it:
+//    name     — used by level files and the HUD
+//    texture  — atlas tile it is drawn with (see DEFAULT_TEXTURES
+//               below), -1 for air. Either one tile for every
+//               face, or { top, side, bottom } (bottom defaults to
+//               side) for blocks like grass or logs
+//    solid    — collides with the player and hides neighbour faces
+//    tint     — optional [r,g,b] multiplied into the texture
+//
+//  To add a material: add a painter (TEXTURE_PAINTERS in main.js),
+//  append its name to DEFAULT_TEXTURES, and append an entry here.
+//  Ids must never be reordered — code refers to them (BLOCK_STONE
+//  ...) and replays record the active block by id. Level files
+//  and saves (both via exportLevel()) store names.
+// ============================================================
+
+'use strict';
+
+// Atlas tile → painter name or image URL. BLOCKS[id].texture (per
+// face for grass and logs) and Cube.textureNum index into this list.
+// Adding a material is just adding a tile (up to ATLAS_COLS² of them).
+var DEFAULT_TEXTURES = ['stone', 'brick', 'grass', 'wood', 'glass', 'sand',
+                        'grass_side', 'dirt', 'log_top', 'bark'];
+var g_textureSources = DEFAULT_TEXTURES.slice();   // the loaded level's tiles
+
+var BLOCKS = [
+  { id: 0, name: 'air',   texture: -1, solid: false },
+  { id: 1, name: 'stone', texture:  0, solid: true  },
+  { id: 2, name: 'brick', texture:  1, solid: true  },
+  { id: 3, name: 'wood',  texture:  3, solid: true  },
+  { id: 4, name: 'glass', texture:  4, solid: true, tint: [0.85, 0.95, 1.0] },
+  { id: 5, name: 'sand',  texture:  5, solid: true  },
+  { id: 6, name: 'grass', texture: { top: 2, side: 6, bottom: 7 }, solid: true },
+  { id: 7, name: 'log',   texture: { top: 8, side: 9 },            solid: true },
+  { id: 8, name: 'dirt',  texture:  7, solid: true  }
+];
+
+var BLOCK_AIR   = 0;
+var BLOCK_STONE = 1;
+var BLOCK_BRICK = 2;
+
+// Block id → name, used by level files to refer to block types
+var BLOCK_NAMES = BLOCKS.map(function(b) { return b.name; });
+
+// Block the T key places — changed with number keys / scroll wheel
+var g_activeBlock = BLOCK_STONE;
+
+function blockIdByName(name) {
+  return BLOCK_NAMES.indexOf(name);
+}
+
+// Atlas tile for one face (FACE_FRONT..FACE_BOTTOM) of a block
+function blockFaceTexture(id, face) {
+  var t = BLOCKS[id].texture;
+  if (typeof t === 'number') return t;
+  if (face === FACE_TOP)    return t.top;
+  if (face === FACE_BOTTOM) return (t.bottom !== undefined) ? t.bottom : t.side;
+  return t.side;
+}
+
+// Step the active block by +1/-1 through every block except air
+function cycleActiveBlock(step) {
+  var n = BLOCKS.length - 1;
+  g_activeBlock = ((g_activeBlock - 1 + step) % n + n) % n + 1;
+}
+
+// Number key 1..9 → the n-th placeable block, if there is one
+function selectBlockSlot(n) {
+  if (n >= 1 && n < BLOCKS.length) g_activeBlock = n;
+}
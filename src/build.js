@@ -0,0 +1,148 @@
+// ============================================================
+//  src/build.js  —  Creative build mode and region tools
+//
+//  B toggles build mode: enemies freeze and vanish (so nothing
+//  spawns or hurts the player) and the camera flies freely.
+//
+//  Region tools work on the box between two corner blocks picked
+//  with the crosshair (G / H). Every edit goes through editBlock()
+//  inside one edit batch, so a whole operation is a single undo
+//  step and only the chunks it touched get re-meshed.
+//
+//    fillSelection(id)     — every cell becomes id
+//    hollowSelection(id)   — shell of id, air inside
+//    clearSelection()      — every cell becomes air
+//    copySelection()       — remember the box (air included)
+//    pasteClipboard(x,y,z) — write it back with its min corner here
+//    rotateSelection()     — turn the box a quarter turn about Y,
+//                            keeping its min corner
+// ============================================================
+
+'use strict';
+
+var g_buildMode = false;
+var g_selA      = null;   // selection corners { x, y, z } (inclusive)
+var g_selB      = null;
+var g_clipboard = null;   // { sx, sy, sz, ids: Uint8Array } from copySelection()
+
+var SELECTION_COLOR = [1.0, 0.85, 0.1, 1.0];
+
+function toggleBuildMode() {
+  g_buildMode = !g_buildMode;
+  camera.setFlying(g_buildMode);
+}
+
+// ── Selection ─────────────────────────────────────────────────
+
+// Set corner 1 or 2 to a raycast hit (see pickTarget). Picking the
+// ground selects the bottom layer above it.
+function setSelectionCorner(which, hit) {
+  if (!hit) return;
+  var c = { x: hit.x, y: Math.max(hit.y, 0), z: hit.z };
+  if (which === 1) g_selA = c;
+  else             g_selB = c;
+}
+
+// The selected box as inclusive bounds { x0,y0,z0, x1,y1,z1 }, or null
+// until both corners are set. A lone corner selects just that block.
+function selectionBox() {
+  var a = g_selA || g_selB, b = g_selB || g_selA;
+  if (!a) return null;
+  return {
+    x0: Math.min(a.x, b.x), y0: Math.min(a.y, b.y), z0: Math.min(a.z, b.z),
+    x1: Math.max(a.x, b.x), y1: Math.max(a.y, b.y), z1: Math.max(a.z, b.z)
+  };
+}
+
+// ── Region edits ──────────────────────────────────────────────
+
+// Run fn as one undo step
+function _regionEdit(fn) {
+  beginEditBatch();
+  fn();
+  endEditBatch();
+}
+
+function _forBox(box, fn) {
+  for (var y = box.y0; y <= box.y1; y++)
+    for (var z = box.z0; z <= box.z1; z++)
+      for (var x = box.x0; x <= box.x1; x++) fn(x, y, z);
+}
+
+function fillSelection(id) {
+  var box = selectionBox();
+  if (!box) return false;
+  _regionEdit(function() {
+    _forBox(box, function(x, y, z) { editBlock(x, y, z, id); });
+  });
+  return true;
+}
+
+function hollowSelection(id) {
+  var box = selectionBox();
+  if (!box) return false;
+  _regionEdit(function() {
+    _forBox(box, function(x, y, z) {
+      var edge = x === box.x0 || x === box.x1 || y === box.y0 || y === box.y1 ||
+                 z === box.z0 || z === box.z1;
+      editBlock(x, y, z, edge ? id : BLOCK_AIR);
+    });
+  });
+  return true;
+}
+
+function clearSelection() {
+  return fillSelection(BLOCK_AIR);
+}
+
+function copySelection() {
+  var box = selectionBox();
+  if (!box) return false;
+  var sx = box.x1 - box.x0 + 1, sy = box.y1 - box.y0 + 1, sz = box.z1 - box.z0 + 1;
+  var ids = new Uint8Array(sx * sy * sz), i = 0;
+  _forBox(box, function(x, y, z) { ids[i++] = getBlock(x, y, z); });
+  g_clipboard = { sx: sx, sy: sy, sz: sz, ids: ids };
+  return true;
+}
+
+function pasteClipboard(x0, y0, z0) {
+  var clip = g_clipboard;
+  if (!clip) return false;
+  var i = 0;
+  _regionEdit(function() {
+    for (var y = 0; y < clip.sy; y++)
+      for (var z = 0; z < clip.sz; z++)
+        for (var x = 0; x < clip.sx; x++) editBlock(x0 + x, y0 + y, z0 + z, clip.ids[i++]);
+  });
+  return true;
+}
+
+// Rotating a non-square box swaps its width and depth, so the
+// selection is moved to cover the rotated result.
+function rotateSelection() {
+  var box = selectionBox();
+  if (!box) return false;
+  var sx = box.x1 - box.x0 + 1, sz = box.z1 - box.z0 + 1;
+
+  var saved = g_clipboard;
+  copySelection();
+  var clip = g_clipboard;
+  g_clipboard = saved;
+
+  _regionEdit(function() {
+    _forBox(box, function(x, y, z) { editBlock(x, y, z, BLOCK_AIR); });
+    var i = 0;
+    for (var y = 0; y < clip.sy; y++) {
+      for (var z = 0; z < sz; z++) {
+        for (var x = 0; x < sx; x++) {
+          // Quarter turn about Y: (x, z) → (sz-1-z, x)
+          editBlock(box.x0 + sz - 1 - z, box.y0 + y, box.z0 + x, clip.ids[i++]);
+        }
+      }
+    }
+  });
+
+  g_selA = { x: box.x0,          y: box.y0, z: box.z0 };
+  g_selB = { x: box.x0 + sz - 1, y: box.y1, z: box.z0 + sx - 1 };
+  return true;
+}
@@ -16,12 +16,15 @@
 class Camera {
   constructor() {
     this.fov      = 60;
-    this.speed    = 0.15;
-    this.panAngle = 3;     // degrees per Q/E key press
+    this.speed    = 9;     // units per second
+    this.panSpeed = 180;   // degrees per second while Q/E is held
 
-    this.eye   = [16, 1.5, 16];  // world position
+    this.eye     = [0, 1.5, 0];  // world position — set from the map by teleport()
+    this.prevEye = [0, 1.5, 0];  // eye at the previous sim step (for interpolation)
     this.yaw   = 0;               // left/right angle (degrees), 0 = facing +X
     this.pitch = 0;               // up/down angle (degrees), clamped ±89
+    this.prevYaw   = 0;           // angles at the previous sim step
+    this.prevPitch = 0;
 
     this.viewMatrix       = new Matrix4();
     this.projectionMatrix = new Matrix4();
@@ -29,9 +32,16 @@ class Camera {
     // Jumping / gravity
     this.velY        = 0;      // current vertical velocity
     this.grounded    = true;   // true when standing on the ground
-    this.groundY     = 1.5;    // eye height when standing
-    this.jumpForce   = 0.18;   // initial upward velocity on jump
-    this.gravity     = 0.012;  // downward acceleration per frame
+    this.eyeHeight   = 1.5;    // eye height above the feet
+    this.height      = 1.8;    // full body height (feet to top of head)
+    this.groundY     = 1.5;    // eye Y when standing on the floor below (updated per frame)
+    this.stepHeight  = 1.0;    // tallest ledge we walk up without jumping
+    this.jumpForce   = 10.8;   // initial upward velocity on jump (units/s)
+    this.gravity     = 43.2;   // downward acceleration (units/s²)
+    this.flying      = false;  // free flight (build mode): no gravity
+
+    // Collision — the player is a square of half-width `radius` on XZ
+    this.radius      = 0.25;   // must stay < 0.5 so corners cover every cell touched
   }
 
   setProjection(canvas) {
@@ -46,9 +56,19 @@ class Camera {
   // ── Called ONCE per frame by renderScene() ────────────────
   // Converts yaw+pitch angles into a look direction and uploads
   // the view matrix. Never call this from input handlers.
-  updateView() {
-    var yawR     = this.yaw   * Math.PI / 180;
-    var pitchR   = this.pitch * Math.PI / 180;
+  // alpha (0..1) blends prevEye → eye and the previous angles into
+  // the current ones so both moving and turning stay smooth between
+  // fixed simulation steps.
+  updateView(alpha) {
+    if (alpha === undefined) alpha = 1;
+    var ex = this.prevEye[0] + (this.eye[0] - this.prevEye[0]) * alpha;
+    var ey = this.prevEye[1] + (this.eye[1] - this.prevEye[1]) * alpha;
+    var ez = this.prevEye[2] + (this.eye[2] - this.prevEye[2]) * alpha;
+    var yaw   = this.prevYaw   + (this.yaw   - this.prevYaw)   * alpha;
+    var pitch = this.prevPitch + (this.pitch - this.prevPitch) * alpha;
+
+    var yawR     = yaw   * Math.PI / 180;
+    var pitchR   = pitch * Math.PI / 180;
     var cosPitch = Math.cos(pitchR);
 
     var fx = Math.cos(yawR) * cosPitch;
@@ -56,12 +76,33 @@ class Camera {
     var fz = Math.sin(yawR) * cosPitch;
 
     this.viewMatrix.setLookAt(
-      this.eye[0],          this.eye[1],          this.eye[2],
-      this.eye[0] + fx,     this.eye[1] + fy,     this.eye[2] + fz,
+      ex,          ey,          ez,
+      ex + fx,     ey + fy,     ez + fz,
       0, 1, 0
     );
   }
 
+  // Place the player's feet at (x, feetY, z) with no interpolation
+  // from the old spot (or old angles — set yaw/pitch first);
+  // gravity settles them onto the floor
+  teleport(x, feetY, z) {
+    this.eye[0] = x;
+    this.eye[1] = feetY + this.eyeHeight;
+    this.eye[2] = z;
+    this.savePrevious();
+    this.velY     = 0;
+    this.grounded = false;
+  }
+
+  // Called at the start of every sim step, before anything moves
+  savePrevious() {
+    this.prevEye[0] = this.eye[0];
+    this.prevEye[1] = this.eye[1];
+    this.prevEye[2] = this.eye[2];
+    this.prevYaw    = this.yaw;
+    this.prevPitch  = this.pitch;
+  }
+
   // ── Internal helpers (no trig, no allocation) ─────────────
 
   // Horizontal forward direction based on current yaw
@@ -81,29 +122,26 @@ class Camera {
   }
 
   // ── Movement — only updates numbers, no matrix work ───────
+  // dt is the fixed simulation step in seconds.
 
-  moveForward() {
-    var f = this._fwd();
-    this.eye[0] += f[0] * this.speed;
-    this.eye[2] += f[2] * this.speed;
+  moveForward(dt) {
+    var f = this._fwd(), d = this.speed * dt;
+    this._move(f[0] * d, f[2] * d);
   }
 
-  moveBackwards() {
-    var f = this._fwd();
-    this.eye[0] -= f[0] * this.speed;
-    this.eye[2] -= f[2] * this.speed;
+  moveBackwards(dt) {
+    var f = this._fwd(), d = this.speed * dt;
+    this._move(-f[0] * d, -f[2] * d);
   }
 
-  moveLeft() {
-    var r = this._right();
-    this.eye[0] += r[0] * this.speed;
-    this.eye[2] += r[2] * this.speed;
+  moveLeft(dt) {
+    var r = this._right(), d = this.speed * dt;
+    this._move(r[0] * d, r[2] * d);
   }
 
-  moveRight() {
-    var r = this._right();
-    this.eye[0] -= r[0] * this.speed;
-    this.eye[2] -= r[2] * this.speed;
+  moveRight(dt) {
+    var r = this._right(), d = this.speed * dt;
+    this._move(-r[0] * d, -r[2] * d);
   }
 
   jump() {
@@ -113,13 +151,60 @@ class Camera {
     }
   }
 
-  // Called once per frame from tick() — applies gravity and moves eye vertically
-  applyGravity() {
+  // Turn free flight on or off. Either way we start airborne, so
+  // switching it off drops the player onto whatever is below.
+  setFlying(on) {
+    this.flying   = on;
+    this.velY     = 0;
+    this.grounded = false;
+  }
+
+  // Free flight only — rise (dir 1) or sink (dir -1) at walking
+  // speed, stopping under ceilings and on the floor
+  fly(dir, dt) {
+    if (!this.flying) return;
+    var y = this.eye[1] + dir * this.speed * dt;
+
+    var head = y - this.eyeHeight + this.height;
+    if (dir > 0 && this._solidUnder(this.eye[0], this.eye[2], Math.floor(head))) {
+      y = Math.floor(head) - this.height + this.eyeHeight - 0.001;
+    }
+    var floor = this._floorHeight(this.eye[0], this.eye[2],
+                                  this.eye[1] - this.eyeHeight) + this.eyeHeight;
+    this.eye[1] = Math.max(y, floor);
+  }
+
+  // Called once per sim step — follows the floor under the player
+  // (getFloorBelow), applies gravity and moves eye vertically
+  applyGravity(dt) {
+    if (this.flying) return;
+    var feet  = this.eye[1] - this.eyeHeight;
+    var reach = feet + (this.grounded ? this.stepHeight : 0);
+    this.groundY = this._floorHeight(this.eye[0], this.eye[2], reach) + this.eyeHeight;
+
+    if (this.grounded) {
+      if (this.eye[1] < this.groundY) {
+        // Walked onto a ledge within stepHeight — step up onto it
+        this.eye[1] = this.groundY;
+      } else if (this.eye[1] > this.groundY) {
+        // Walked off an edge — start falling from rest
+        this.grounded = false;
+        this.velY     = 0;
+      }
+    }
+
     if (!this.grounded) {
-      this.velY      -= this.gravity;
-      this.eye[1]    += this.velY;
+      this.velY      -= this.gravity * dt;
+      this.eye[1]    += this.velY * dt;
 
-      // Land on the ground
+      // Bump our head on an overhang
+      var head = this.eye[1] - this.eyeHeight + this.height;
+      if (this.velY > 0 && this._solidUnder(this.eye[0], this.eye[2], Math.floor(head))) {
+        this.eye[1] = Math.floor(head) - this.height + this.eyeHeight - 0.001;
+        this.velY   = 0;
+      }
+
+      // Land on whatever is below (ground or top of a column)
       if (this.eye[1] <= this.groundY) {
         this.eye[1]   = this.groundY;
         this.velY     = 0;
@@ -128,10 +213,101 @@ class Camera {
     }
   }
 
+  // ── Collision against the voxel world ─────────────────────
+  // Axis-separated: X and Z are resolved independently, so pushing
+  // into a wall at an angle slides along it instead of stopping dead.
+  // Large moves are split into sub-steps no longer than `radius` so
+  // a high speed can never tunnel through a 1-wide wall.
+
+  _move(dx, dz) {
+    var r     = this.radius;
+    var steps = Math.max(1, Math.ceil(Math.max(Math.abs(dx), Math.abs(dz)) / r));
+    var sx = dx / steps, sz = dz / steps;
+
+    for (var i = 0; i < steps; i++) {
+      // Already overlapping a block (e.g. one was placed on us) — let
+      // the player walk out instead of pinning them in place.
+      var stuck = this._collides(this.eye[0], this.eye[2]);
+
+      var nx = this.eye[0] + sx;
+      if (!stuck && this._collides(nx, this.eye[2])) {
+        // Snap flush against the face of the cell we ran into
+        nx = sx > 0 ? Math.floor(nx + r) - r - 0.001
+                    : Math.floor(nx - r) + 1 + r + 0.001;
+      }
+      this.eye[0] = nx;
+
+      var nz = this.eye[2] + sz;
+      if (!stuck && this._collides(this.eye[0], nz)) {
+        nz = sz > 0 ? Math.floor(nz + r) - r - 0.001
+                    : Math.floor(nz - r) + 1 + r + 0.001;
+      }
+      this.eye[2] = nz;
+    }
+
+    this._clampToBorder();
+  }
+
+  // A cell blocks us when our body would overlap a solid voxel there.
+  // While grounded we may first step up onto a block within stepHeight,
+  // as long as there is headroom above it.
+  _isSolidAt(x, z) {
+    var col   = Math.floor(x), row = Math.floor(z);
+    var feet  = this.eye[1] - this.eyeHeight;
+    var climb = this.grounded ? this.stepHeight : 0;
+    var stand = Math.max(feet, getFloorBelow(col, row, feet + climb + 0.001));
+    var y1    = Math.floor(stand + this.height - 0.001);
+    for (var y = Math.floor(stand + 0.001); y <= y1; y++) {
+      if (isSolidBlock(col, y, row)) return true;
+    }
+    return false;
+  }
+
+  // Highest floor at or below maxY under the player's square at (x, z)
+  _floorHeight(x, z, maxY) {
+    var r = this.radius;
+    maxY += 0.001;
+    return Math.max(
+      getFloorBelow(Math.floor(x - r), Math.floor(z - r), maxY),
+      getFloorBelow(Math.floor(x + r), Math.floor(z - r), maxY),
+      getFloorBelow(Math.floor(x - r), Math.floor(z + r), maxY),
+      getFloorBelow(Math.floor(x + r), Math.floor(z + r), maxY)
+    );
+  }
+
+  // True if any cell under the player's square has a solid voxel at layer y
+  _solidUnder(x, z, y) {
+    var r = this.radius;
+    return isSolidBlock(Math.floor(x - r), y, Math.floor(z - r)) ||
+           isSolidBlock(Math.floor(x + r), y, Math.floor(z - r)) ||
+           isSolidBlock(Math.floor(x - r), y, Math.floor(z + r)) ||
+           isSolidBlock(Math.floor(x + r), y, Math.floor(z + r));
+  }
+
+  // True if the player's square centred at (x, z) overlaps a solid cell.
+  // radius < 0.5 means the square spans at most 2×2 cells, so testing
+  // its four corners is enough.
+  _collides(x, z) {
+    var r = this.radius;
+    return this._isSolidAt(x - r, z - r) || this._isSolidAt(x + r, z - r) ||
+           this._isSolidAt(x - r, z + r) || this._isSolidAt(x + r, z + r);
+  }
+
+  // Hard limit to the map rectangle, even if the border walls are removed
+  _clampToBorder() {
+    var r    = this.radius;
+    var maxX = g_world.width - r;
+    var maxZ = g_world.depth - r;
+    if (this.eye[0] < r)    this.eye[0] = r;
+    if (this.eye[0] > maxX) this.eye[0] = maxX;
+    if (this.eye[2] < r)    this.eye[2] = r;
+    if (this.eye[2] > maxZ) this.eye[2] = maxZ;
+  }
+
   // ── Rotation — only updates yaw angle ─────────────────────
 
-  panLeft()  { this.yaw -= this.panAngle; }
-  panRight() { this.yaw += this.panAngle; }
+  panLeft(dt)  { this.yaw -= this.panSpeed * dt; }
+  panRight(dt) { this.yaw += this.panSpeed * dt; }
 
   // ── Mouse look — only updates angles, no matrix work ──────
 
@@ -153,11 +329,20 @@ class Camera {
     };
   }
 
-  getFrontMapPosition() {
-    var f = this._fwd();
-    return {
-      col: Math.floor(this.eye[0] + f[0] * 1.5),
-      row: Math.floor(this.eye[2] + f[2] * 1.5)
-    };
+  // Unit look direction including pitch (what the crosshair points at)
+  lookDir() {
+    var yawR   = this.yaw   * Math.PI / 180;
+    var pitchR = this.pitch * Math.PI / 180;
+    var cp     = Math.cos(pitchR);
+    return [Math.cos(yawR) * cp, Math.sin(pitchR), Math.sin(yawR) * cp];
+  }
+
+  // True if the block cell (x, y, z) overlaps the player's body —
+  // blocks may not be placed there
+  overlapsBlock(x, y, z) {
+    var r = this.radius, feet = this.eye[1] - this.eyeHeight;
+    return x < this.eye[0] + r && x + 1 > this.eye[0] - r &&
+           z < this.eye[2] + r && z + 1 > this.eye[2] - r &&
+           y < feet + this.height && y + 1 > feet;
   }
 }
\ No newline at end of file
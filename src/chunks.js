@@ -0,0 +1,185 @@
+// ============================================================
+//  src/chunks.js
+//
+//  The world is split into CHUNK_SIZE × CHUNK_SIZE column chunks
+//  (full height). Each chunk owns one CubeBatch holding every
+//  material (atlas tile + tint per vertex, from BLOCKS[id]),
+//  so an edit only re-meshes and re-uploads the chunk it touched
+//  — plus the neighbour across the border when the edit sits on
+//  one, since face culling looks one voxel outside the chunk.
+//
+//    buildWorld()        — (re)create the chunk grid, all dirty
+//    markChunkDirty(x,z) — called by setBlock() in world.js
+//    rebuildBatches(gl)  — re-mesh only the dirty chunks
+//    drawWorld(gl, locs) — one draw call per chunk
+//
+//  Only rebuildBatches() and drawWorld() touch GL, and only the
+//  renderer calls them (once per frame), so the simulation can
+//  load levels and edit the world without a GPU.
+// ============================================================
+
+'use strict';
+
+var CHUNK_SIZE = 8;
+
+var g_chunks  = [];   // g_chunks[cz * g_chunksX + cx]
+var g_chunksX = 0;
+var g_chunksZ = 0;
+var _retiredBatches = [];   // batches of a replaced grid, freed on the next rebuild
+
+// ── Meshing ───────────────────────────────────────────────────
+// Only faces between a block and air are emitted — faces buried
+// between stacked cubes or adjacent walls are never drawn. Bottom
+// faces on layer 0 sit on the ground and are culled too.
+//
+// With g_greedyMeshing on, coplanar visible faces of the same block
+// id are merged into larger rectangles (UVs tile, see buildFaces).
+// Faces of one direction share a tile per block id, so merging by id
+// never mixes textures even for blocks with per-face tiles.
+
+var g_greedyMeshing = true;
+
+// For each face: the axis it faces along (its in-plane axes are FACE_UV_AXES)
+var _FACE_AXIS = [2, 2, 0, 0, 1, 1];
+
+function _isFaceHidden(x, y, z) {
+  if (y < 0) return true;            // ground plane
+  return isSolidBlock(x, y, z);
+}
+
+// Returns { <blockId>: [faceDesc, ...] } for the columns x0..x1-1,
+// z0..z1-1. Neighbours outside the region are still read from the
+// world, so faces on a chunk border are culled correctly.
+function meshRegion(x0, z0, x1, z1) {
+  var lo     = [x0, 0, z0];
+  var dims   = [x1 - x0, g_world.height, z1 - z0];
+  var byId   = {};
+  var p      = [0, 0, 0];
+  var mask   = null;
+
+  for (var f = 0; f < 6; f++) {
+    var axis = _FACE_AXIS[f], ua = FACE_UV_AXES[f][0], va = FACE_UV_AXES[f][1];
+    var n    = FACE_NORMALS[f];
+    var du   = dims[ua], dv = dims[va];
+    if (!mask || mask.length < du * dv) mask = new Uint8Array(du * dv);
+
+    for (var slice = 0; slice < dims[axis]; slice++) {
+      // 1. Mask of visible faces in this slice (block id, 0 = none)
+      p[axis] = lo[axis] + slice;
+      for (var j = 0; j < dv; j++) {
+        for (var i = 0; i < du; i++) {
+          p[ua] = lo[ua] + i; p[va] = lo[va] + j;
+          var id = getBlock(p[0], p[1], p[2]);
+          mask[j * du + i] =
+            (id !== BLOCK_AIR && !_isFaceHidden(p[0] + n[0], p[1] + n[1], p[2] + n[2])) ? id : 0;
+        }
+      }
+
+      // 2. Sweep the mask, growing each face into the widest then
+      //    tallest rectangle of the same id (1×1 when not greedy)
+      for (var j = 0; j < dv; j++) {
+        for (var i = 0; i < du; ) {
+          var id = mask[j * du + i];
+          if (id === 0) { i++; continue; }
+
+          var w = 1, h = 1;
+          if (g_greedyMeshing) {
+            while (i + w < du && mask[j * du + i + w] === id) w++;
+            grow: while (j + h < dv) {
+              for (var k = 0; k < w; k++) {
+                if (mask[(j + h) * du + i + k] !== id) break grow;
+              }
+              h++;
+            }
+          }
+          for (var hh = 0; hh < h; hh++) {
+            for (var k = 0; k < w; k++) mask[(j + hh) * du + i + k] = 0;
+          }
+
+          var size = [1, 1, 1], center = [0, 0, 0];
+          size[ua] = w; size[va] = h;
+          center[axis] = lo[axis] + slice + 0.5;
+          center[ua]   = lo[ua] + i + w / 2;
+          center[va]   = lo[va] + j + h / 2;
+
+          if (!byId[id]) byId[id] = [];
+          byId[id].push({
+            tx: center[0], ty: center[1], tz: center[2],
+            sx: size[0],   sy: size[1],   sz: size[2],
+            face: f,
+            texNum: blockFaceTexture(id, f),
+            tint:   BLOCKS[id].tint
+          });
+          i += w;
+        }
+      }
+    }
+  }
+  return byId;
+}
+
+// ── Chunks ────────────────────────────────────────────────────
+
+// Call once at startup (and again if g_world is replaced — the chunk
+// grid is resized to the new world's width/depth). Every chunk
+// starts dirty, so the next rebuildBatches() meshes them all.
+function buildWorld() {
+  for (var i = 0; i < g_chunks.length; i++) {
+    if (g_chunks[i].batch) _retiredBatches.push(g_chunks[i].batch);
+  }
+
+  g_chunksX = Math.ceil(g_world.width / CHUNK_SIZE);
+  g_chunksZ = Math.ceil(g_world.depth / CHUNK_SIZE);
+  g_chunks  = [];
+  for (var cz = 0; cz < g_chunksZ; cz++) {
+    for (var cx = 0; cx < g_chunksX; cx++) {
+      g_chunks.push({ cx: cx, cz: cz, batch: null, dirty: true });
+    }
+  }
+}
+
+function _markChunk(cx, cz) {
+  if (cx < 0 || cx >= g_chunksX || cz < 0 || cz >= g_chunksZ) return;
+  g_chunks[cz * g_chunksX + cx].dirty = true;
+}
+
+// Flag the chunk holding column (x, z), and any neighbour whose
+// border faces depend on it
+function markChunkDirty(x, z) {
+  if (g_chunks.length === 0) return;   // not built yet — buildWorld meshes all
+  var cx = Math.floor(x / CHUNK_SIZE), cz = Math.floor(z / CHUNK_SIZE);
+  var lx = x - cx * CHUNK_SIZE,        lz = z - cz * CHUNK_SIZE;
+  _markChunk(cx, cz);
+  if (lx === 0)              _markChunk(cx - 1, cz);
+  if (lx === CHUNK_SIZE - 1) _markChunk(cx + 1, cz);
+  if (lz === 0)              _markChunk(cx, cz - 1);
+  if (lz === CHUNK_SIZE - 1) _markChunk(cx, cz + 1);
+}
+
+function _buildChunk(gl, chunk) {
+  var x0 = chunk.cx * CHUNK_SIZE, z0 = chunk.cz * CHUNK_SIZE;
+  var faces = meshRegion(x0, z0,
+                         Math.min(x0 + CHUNK_SIZE, g_world.width),
+                         Math.min(z0 + CHUNK_SIZE, g_world.depth));
+
+  // All materials go into the chunk's one batch
+  var all = [];
+  for (var id in faces) all = all.concat(faces[id]);
+  if (!chunk.batch) chunk.batch = new CubeBatch();
+  chunk.batch.buildFaces(gl, all);
+  chunk.dirty = false;
+}
+
+// Called every frame before drawing — only dirty chunks are re-meshed
+function rebuildBatches(gl) {
+  while (_retiredBatches.length > 0) _retiredBatches.pop().destroy(gl);
+  for (var i = 0; i < g_chunks.length; i++) {
+    if (g_chunks[i].dirty) _buildChunk(gl, g_chunks[i]);
+  }
+}
+
+function drawWorld(gl, locs) {
+  for (var i = 0; i < g_chunks.length; i++) {
+    if (g_chunks[i].batch) g_chunks[i].batch.draw(gl, locs);
+  }
+}
@@ -3,25 +3,69 @@
 //
 //  TWO rendering modes:
 //
-//  1. Cube class — for single one-off cubes (sky, ground).
-//     Same API as before: new Cube(), set .matrix/.color/.textureNum,
-//     call .render(gl, locs). Pre-allocate instances; don't create
-//     inside the render loop.
+//  1. Cube class — for single one-off cubes (the ground).
+//     drawWireBox() outlines the block under the crosshair.
+//     Same API as before: new Cube(), set .matrix/.color/.textureNum
+//     (and .lit = false to skip lighting), call .render(gl, locs).
+//     Pre-allocate instances; don't create inside the render loop.
 //
 //  2. CubeBatch — for many static cubes (walls).
-//     buildBatch(cubeList) bakes all geometry into ONE VBO.
-//     drawBatch(gl, locs) issues a single gl.drawArrays call.
-//     Call rebuildBatch() whenever the map changes.
+//     build(gl, cubeList) bakes all geometry into ONE VBO.
+//     buildFaces(gl, faceList) does the same for individual faces
+//     (the world mesher uses it to skip hidden faces).
+//     draw(gl, locs) issues a single gl.drawArrays call.
+//     Rebuild whenever the map changes.
+//
+//  All world textures live in one atlas (painted in main.js). Batch
+//  vertices carry their own atlas tile rectangle and tint, so one
+//  batch can mix any number of materials in a single draw call,
+//  and their face normal for lighting (src/light.js):
+//    [x,y,z, u,v, rectU,rectV,rectW,rectH, tintR,tintG,tintB, nx,ny,nz]
 // ============================================================
 
 'use strict';
 
+// ── Atlas layout ──────────────────────────────────────────────
+// ATLAS_COLS × ATLAS_COLS tiles of ATLAS_TILE px; main.js paints
+// and uploads it. The layout lives here rather than with the
+// painting because CubeBatch bakes tile rects into the chunk
+// meshes, and chunks.js meshes without main.js loaded (see
+// tools/headless.js).
+var ATLAS_TILE = 128;
+var ATLAS_COLS = 4;
+var ATLAS_SIZE = ATLAS_TILE * ATLAS_COLS;
+
+var _atlasRects = [];   // cached per tile, see atlasRect()
+
+// [u, v, width, height] of a tile in atlas UV space, inset by half a
+// texel so LINEAR filtering never reads the neighbouring tile.
+// The atlas is uploaded flipped (v = 0 is the canvas bottom), so a
+// tile's top edge is the top of its face — grass sides stay upright.
+function atlasRect(tile) {
+  if (!_atlasRects[tile]) {
+    var half = 0.5 / ATLAS_SIZE, size = 1 / ATLAS_COLS;
+    _atlasRects[tile] = new Float32Array([
+      (tile % ATLAS_COLS) * size + half,
+      1 - (Math.floor(tile / ATLAS_COLS) + 1) * size + half,
+      size - 2 * half,
+      size - 2 * half
+    ]);
+  }
+  return _atlasRects[tile];
+}
+
 // ── Shared VBO for single Cube instances ─────────────────────
 var _cubeVBO  = null;
 var _cubeData = null;
+var _wireVBO  = null;
+
+// Unit cube as 36 template vertices of CUBE_FLOATS floats:
+// [x,y,z, u,v, nx,ny,nz], faces in FACE_* order
+var CUBE_FLOATS = 8;
 
 function _buildCubeVerts() {
-  return new Float32Array([
+  // [x,y,z, u,v] per vertex; normals are filled in from FACE_NORMALS
+  var corners = [
     // Front  (z=+0.5)
     -0.5,-0.5, 0.5, 0,0,  0.5,-0.5, 0.5, 1,0,  0.5, 0.5, 0.5, 1,1,
     -0.5,-0.5, 0.5, 0,0,  0.5, 0.5, 0.5, 1,1, -0.5, 0.5, 0.5, 0,1,
@@ -40,40 +84,111 @@ function _buildCubeVerts() {
     // Bottom (y=-0.5)
     -0.5,-0.5,-0.5, 0,0,  0.5,-0.5,-0.5, 1,0,  0.5,-0.5, 0.5, 1,1,
     -0.5,-0.5,-0.5, 0,0,  0.5,-0.5, 0.5, 1,1, -0.5,-0.5, 0.5, 0,1,
-  ]);
+  ];
+  var out = new Float32Array(36 * CUBE_FLOATS);
+  for (var v = 0; v < 36; v++) {
+    var n = FACE_NORMALS[Math.floor(v / 6)];
+    out.set(corners.slice(v * 5, v * 5 + 5), v * CUBE_FLOATS);
+    out.set(n, v * CUBE_FLOATS + 5);
+  }
+  return out;
 }
 
+// Face indices — the order faces appear in _buildCubeVerts()
+var FACE_FRONT = 0, FACE_BACK = 1, FACE_LEFT = 2, FACE_RIGHT = 3, FACE_TOP = 4, FACE_BOTTOM = 5;
+
+// Outward normal of each face
+var FACE_NORMALS = [[0,0,1], [0,0,-1], [-1,0,0], [1,0,0], [0,1,0], [0,-1,0]];
+
+// Which axes (0=x, 1=y, 2=z) each face's u and v coordinates run along,
+// so UVs on a stretched face can be scaled to tile once per unit
+var FACE_UV_AXES = [[0,1], [0,1], [2,1], [2,1], [0,2], [0,2]];
+
 function initCubeBuffer(gl) {
   _cubeData = _buildCubeVerts();
   _cubeVBO  = gl.createBuffer();
   gl.bindBuffer(gl.ARRAY_BUFFER, _cubeVBO);
   gl.bufferData(gl.ARRAY_BUFFER, _cubeData, gl.STATIC_DRAW);
+
+  _wireVBO = gl.createBuffer();
+  gl.bindBuffer(gl.ARRAY_BUFFER, _wireVBO);
+  gl.bufferData(gl.ARRAY_BUFFER, _buildWireVerts(), gl.STATIC_DRAW);
+}
+
+// 12 edges of the unit cube as line pairs [x,y,z] × 24
+function _buildWireVerts() {
+  var out = [], e = 0.5;
+  for (var a = -e; a <= e; a += 2*e) {
+    for (var b = -e; b <= e; b += 2*e) {
+      out.push(-e, a, b,  e, a, b);   // along x
+      out.push(a, -e, b,  a, e, b);   // along y
+      out.push(a, b, -e,  a, b, e);   // along z
+    }
+  }
+  return new Float32Array(out);
+}
+
+// ── Wire box — outline of one block (target highlight) ───────
+var WIRE_COLOR   = [0.05, 0.05, 0.05, 1.0];
+var _wireMatrix  = new Matrix4();
+
+// Outline the box of blocks whose min corner is (x, y, z), size
+// [sx,sy,sz] blocks (default one block). Drawn a hair larger than
+// the box so the lines win the depth test.
+function drawWireBox(gl, locs, x, y, z, size, color) {
+  var sx = size ? size[0] : 1, sy = size ? size[1] : 1, sz = size ? size[2] : 1;
+  _wireMatrix.setTranslate(x + sx / 2, y + sy / 2, z + sz / 2);
+  _wireMatrix.scale(sx + 0.004, sy + 0.004, sz + 0.004);
+
+  gl.bindBuffer(gl.ARRAY_BUFFER, _wireVBO);
+  gl.vertexAttribPointer(locs.a_Position, 3, gl.FLOAT, false, 0, 0);
+  gl.enableVertexAttribArray(locs.a_Position);
+  gl.disableVertexAttribArray(locs.a_UV);
+  gl.vertexAttrib2f(locs.a_UV, 0, 0);
+  gl.disableVertexAttribArray(locs.a_UVRect);
+  gl.vertexAttrib4fv(locs.a_UVRect, atlasRect(0));
+  gl.disableVertexAttribArray(locs.a_Tint);
+  gl.vertexAttrib3fv(locs.a_Tint, _white3);
+  gl.disableVertexAttribArray(locs.a_Normal);
+  gl.vertexAttrib3f(locs.a_Normal, 0, 1, 0);
+
+  gl.uniformMatrix4fv(locs.u_ModelMatrix, false, _wireMatrix.elements);
+  gl.uniform4fv(locs.u_baseColor, color || WIRE_COLOR);
+  gl.uniform1f(locs.u_texColorWeight, 0.0);
+  gl.uniform1f(locs.u_lightWeight, 0.0);
+  gl.drawArrays(gl.LINES, 0, 24);
 }
 
-// ── Cube class (sky box, ground — pre-allocate, don't new in loop) ──
+// ── Cube class (ground — pre-allocate, don't new in loop) ─────
 class Cube {
   constructor() {
     this.matrix     = new Matrix4();
     this.color      = [1.0, 1.0, 1.0, 1.0];
     this.textureNum = -1;
+    this.lit        = true;    // false: full brightness
   }
 
   render(gl, locs) {
-    const F = 4, STRIDE = F * 5;
+    const F = 4, STRIDE = F * CUBE_FLOATS;
     gl.bindBuffer(gl.ARRAY_BUFFER, _cubeVBO);
     gl.vertexAttribPointer(locs.a_Position, 3, gl.FLOAT, false, STRIDE, 0);
     gl.enableVertexAttribArray(locs.a_Position);
     gl.vertexAttribPointer(locs.a_UV, 2, gl.FLOAT, false, STRIDE, F * 3);
     gl.enableVertexAttribArray(locs.a_UV);
+    gl.vertexAttribPointer(locs.a_Normal, 3, gl.FLOAT, false, STRIDE, F * 5);
+    gl.enableVertexAttribArray(locs.a_Normal);
+
+    // Tile rect + tint are per-vertex in batches; here they are
+    // constant for the whole cube, so feed them as fixed attributes
+    gl.disableVertexAttribArray(locs.a_UVRect);
+    gl.vertexAttrib4fv(locs.a_UVRect, atlasRect(Math.max(this.textureNum, 0)));
+    gl.disableVertexAttribArray(locs.a_Tint);
+    gl.vertexAttrib3fv(locs.a_Tint, _white3);
+
     gl.uniformMatrix4fv(locs.u_ModelMatrix, false, this.matrix.elements);
     gl.uniform4fv(locs.u_baseColor, this.color);
-    if (this.textureNum < 0) {
-      gl.uniform1f(locs.u_texColorWeight, 0.0);
-      gl.uniform1i(locs.u_whichTexture, -1);
-    } else {
-      gl.uniform1f(locs.u_texColorWeight, 1.0);
-      gl.uniform1i(locs.u_whichTexture, this.textureNum);
-    }
+    gl.uniform1f(locs.u_texColorWeight, this.textureNum < 0 ? 0.0 : 1.0);
+    gl.uniform1f(locs.u_lightWeight, this.lit ? 1.0 : 0.0);
     gl.drawArrays(gl.TRIANGLES, 0, 36);
   }
 }
@@ -89,45 +204,96 @@ class Cube {
 //  Each cube in cubeList needs:
 //    tx,ty,tz  — translation
 //    sx,sy,sz  — scale (1,1,1 for unit cubes)
-//    texNum    — texture index (0, 1, 2...)
+//    texNum    — atlas tile index (0, 1, 2...), or
+//    faceTex   — six tiles in FACE_* order instead (see blockFaceTexture)
+//    tint      — optional [r,g,b] multiplied into the texture
+
+var BATCH_FLOATS = 15;   // floats per batch vertex (see header)
 
 class CubeBatch {
   constructor() {
     this.vbo        = null;
     this.vertCount  = 0;
-    this.texNum     = 0;    // all cubes in one batch share same texture
   }
 
   // Build or rebuild the batch VBO from a list of cube descriptors
-  build(gl, cubeDescs, texNum) {
-    this.texNum = texNum;
-
-    // 36 verts per cube, 5 floats per vert
-    var buf = new Float32Array(cubeDescs.length * 36 * 5);
+  build(gl, cubeDescs) {
+    // 36 verts per cube
+    var buf = new Float32Array(cubeDescs.length * 36 * BATCH_FLOATS);
     var off = 0;
 
-    // Template: unit cube face verts [x,y,z, u,v] × 36
+    // Template: unit cube face verts [x,y,z, u,v, nx,ny,nz] × 36
     var T = _cubeData; // reuse the existing unit cube template
 
     for (var c = 0; c < cubeDescs.length; c++) {
-      var d  = cubeDescs[c];
+      var d    = cubeDescs[c];
+      var rect = atlasRect(d.texNum);
+      var tint = d.tint || _white3;
       var tx = d.tx, ty = d.ty, tz = d.tz;
       var sx = d.sx, sy = d.sy, sz = d.sz;
 
       // Transform each of the 36 template verts by this cube's TRS
       for (var v = 0; v < 36; v++) {
-        var i = v * 5;
+        var i = v * CUBE_FLOATS;
+        if (d.faceTex && v % 6 === 0) rect = atlasRect(d.faceTex[v / 6]);
         buf[off++] = T[i  ] * sx + tx;  // x
         buf[off++] = T[i+1] * sy + ty;  // y
         buf[off++] = T[i+2] * sz + tz;  // z
         buf[off++] = T[i+3];             // u
         buf[off++] = T[i+4];             // v
+        off = _putRectTint(buf, off, rect, tint);
+        buf[off++] = T[i+5]; buf[off++] = T[i+6]; buf[off++] = T[i+7];   // normal
+      }
+    }
+
+    this._upload(gl, buf, cubeDescs.length * 36);
+  }
+
+  // Build from single faces instead of whole cubes.
+  // Each face desc is a cube desc plus `face` (FACE_FRONT..FACE_BOTTOM).
+  // The face is stretched over the box, and its UVs are scaled by the
+  // box size so the texture still tiles once per world unit (the
+  // shader wraps them inside the face's atlas tile).
+  buildFaces(gl, faceDescs) {
+    // 6 verts per face
+    var buf = new Float32Array(faceDescs.length * 6 * BATCH_FLOATS);
+    var off = 0;
+    var T   = _cubeData;
+
+    for (var c = 0; c < faceDescs.length; c++) {
+      var d    = faceDescs[c];
+      var rect = atlasRect(d.texNum);
+      var tint = d.tint || _white3;
+      var size = [d.sx, d.sy, d.sz];
+      var uvAx = FACE_UV_AXES[d.face];
+      var us   = size[uvAx[0]], vs = size[uvAx[1]];
+
+      for (var v = 0; v < 6; v++) {
+        var i = (d.face * 6 + v) * CUBE_FLOATS;
+        buf[off++] = T[i  ] * d.sx + d.tx;  // x
+        buf[off++] = T[i+1] * d.sy + d.ty;  // y
+        buf[off++] = T[i+2] * d.sz + d.tz;  // z
+        buf[off++] = T[i+3] * us;            // u (tiles)
+        buf[off++] = T[i+4] * vs;            // v (tiles)
+        off = _putRectTint(buf, off, rect, tint);
+        buf[off++] = T[i+5]; buf[off++] = T[i+6]; buf[off++] = T[i+7];   // normal
       }
     }
 
+    this._upload(gl, buf, faceDescs.length * 6);
+  }
+
+  // Free the GPU buffer (e.g. when a chunk is thrown away)
+  destroy(gl) {
+    if (this.vbo) gl.deleteBuffer(this.vbo);
+    this.vbo       = null;
+    this.vertCount = 0;
+  }
+
+  _upload(gl, buf, vertCount) {
     if (this.vbo) gl.deleteBuffer(this.vbo);
     this.vbo       = gl.createBuffer();
-    this.vertCount = cubeDescs.length * 36;
+    this.vertCount = vertCount;
     gl.bindBuffer(gl.ARRAY_BUFFER, this.vbo);
     gl.bufferData(gl.ARRAY_BUFFER, buf, gl.STATIC_DRAW);
   }
@@ -136,23 +302,37 @@ class CubeBatch {
   draw(gl, locs) {
     if (!this.vbo || this.vertCount === 0) return;
 
-    const F = 4, STRIDE = F * 5;
+    const F = 4, STRIDE = F * BATCH_FLOATS;
     gl.bindBuffer(gl.ARRAY_BUFFER, this.vbo);
     gl.vertexAttribPointer(locs.a_Position, 3, gl.FLOAT, false, STRIDE, 0);
     gl.enableVertexAttribArray(locs.a_Position);
     gl.vertexAttribPointer(locs.a_UV, 2, gl.FLOAT, false, STRIDE, F * 3);
     gl.enableVertexAttribArray(locs.a_UV);
+    gl.vertexAttribPointer(locs.a_UVRect, 4, gl.FLOAT, false, STRIDE, F * 5);
+    gl.enableVertexAttribArray(locs.a_UVRect);
+    gl.vertexAttribPointer(locs.a_Tint, 3, gl.FLOAT, false, STRIDE, F * 9);
+    gl.enableVertexAttribArray(locs.a_Tint);
+    gl.vertexAttribPointer(locs.a_Normal, 3, gl.FLOAT, false, STRIDE, F * 12);
+    gl.enableVertexAttribArray(locs.a_Normal);
 
     // Identity model matrix — positions are already in world space
     gl.uniformMatrix4fv(locs.u_ModelMatrix, false, _identityElements);
     gl.uniform4fv(locs.u_baseColor, _white4);
     gl.uniform1f(locs.u_texColorWeight, 1.0);
-    gl.uniform1i(locs.u_whichTexture, this.texNum);
+    gl.uniform1f(locs.u_lightWeight, 1.0);
 
     gl.drawArrays(gl.TRIANGLES, 0, this.vertCount);
   }
 }
 
+// Append a vertex's atlas rect + tint; returns the new offset
+function _putRectTint(buf, off, rect, tint) {
+  buf[off++] = rect[0]; buf[off++] = rect[1]; buf[off++] = rect[2]; buf[off++] = rect[3];
+  buf[off++] = tint[0]; buf[off++] = tint[1]; buf[off++] = tint[2];
+  return off;
+}
+
 // Pre-allocated constants used by CubeBatch.draw
 var _identityElements = new Float32Array([1,0,0,0, 0,1,0,0, 0,0,1,0, 0,0,0,1]);
-var _white4           = new Float32Array([1,1,1,1]);
\ No newline at end of file
+var _white4           = new Float32Array([1,1,1,1]);
+var _white3           = new Float32Array([1,1,1]);
\ No newline at end of file
@@ -0,0 +1,126 @@
+// ============================================================
+//  src/daynight.js  —  World clock and day/night cycle
+//
+//  g_clock.time runs from 0 to 24 (hours; 12 = noon) and wraps.
+//  A full day takes g_clock.dayLength seconds of simulated time,
+//  so replays see exactly the same sky and spawn rate.
+//
+//    setClock(clock)    — start at clock.time with clock.dayLength,
+//                         either missing → g_clockDefaults
+//    updateClock(dt)    — sim.js: advance by one step
+//    daylight()         — 0 at night … 1 in full day
+//    applyDaylight()    — main.js: point the sun (or moon) and set
+//                         g_light's colours and the sky's zenith and
+//                         horizon colours (src/sky.js) for now
+//    clockString()      — "hh:mm" for the HUD
+//
+//  The sun rises in the east (+X) at 6:00 and sets in the west at
+//  18:00; between those hours the moon takes over the directional
+//  light, dimmer and bluer. Each fades out as it nears the horizon,
+//  so the light (and its shadows) is dark at the hand-over instead
+//  of jumping. Levels may set "clock": { "time": 20, "dayLength":
+//  120 }; ?time= and ?daylength= change the defaults.
+// ============================================================
+
+'use strict';
+
+var g_clockDefaults = { time: 9, dayLength: 240 };
+var g_clock         = { time: 9, dayLength: 240 };
+
+// Written by applyDaylight()
+var g_skyColor     = [0.53, 0.81, 0.98];   // overhead
+var g_horizonColor = [0.78, 0.88, 0.96];   // at the horizon, and the fog
+
+// Sky colours through the day: [hour, [r, g, b]], blended linearly
+var SKY_KEYS = [
+  [ 0,   [0.02, 0.03, 0.08]],
+  [ 5,   [0.02, 0.03, 0.08]],
+  [ 6,   [0.85, 0.50, 0.38]],   // dawn
+  [ 8,   [0.53, 0.81, 0.98]],
+  [17,   [0.53, 0.81, 0.98]],
+  [18.5, [0.90, 0.45, 0.30]],   // dusk
+  [20,   [0.02, 0.03, 0.08]],
+  [24,   [0.02, 0.03, 0.08]]
+];
+
+var HORIZON_KEYS = [
+  [ 0,   [0.05, 0.06, 0.12]],
+  [ 5,   [0.05, 0.06, 0.12]],
+  [ 6,   [0.98, 0.62, 0.40]],   // dawn
+  [ 8,   [0.78, 0.88, 0.96]],
+  [17,   [0.78, 0.88, 0.96]],
+  [18.5, [0.98, 0.55, 0.35]],   // dusk
+  [20,   [0.05, 0.06, 0.12]],
+  [24,   [0.05, 0.06, 0.12]]
+];
+
+var DAY_AMBIENT   = [0.35, 0.35, 0.35];
+var NIGHT_AMBIENT = [0.07, 0.08, 0.14];
+var SUN_COLOR     = [0.45, 0.45, 0.42];
+var SUNSET_COLOR  = [0.50, 0.30, 0.18];   // the sun low on the horizon
+var MOON_COLOR    = [0.10, 0.11, 0.18];
+var HORIZON_FADE  = 0.15;   // elevation (sin) below which the sun or moon dims to 0
+
+function setClock(clock) {
+  clock = clock || {};
+  var time      = (typeof clock.time === 'number') ? clock.time : g_clockDefaults.time;
+  var dayLength = (clock.dayLength > 0) ? clock.dayLength : g_clockDefaults.dayLength;
+  g_clock.time      = ((time % 24) + 24) % 24;
+  g_clock.dayLength = dayLength;
+}
+
+function updateClock(dt) {
+  g_clock.time = (g_clock.time + 24 * dt / g_clock.dayLength) % 24;
+}
+
+// Height of the sun: sin of its angle above the horizon (-1 … 1)
+function sunElevation() {
+  return Math.sin((g_clock.time - 6) / 12 * Math.PI);
+}
+
+// Fades in over dawn and out over dusk rather than switching
+function daylight() {
+  var t = (sunElevation() + 0.1) / 0.35;
+  t = Math.max(0, Math.min(1, t));
+  return t * t * (3 - 2 * t);   // smoothstep
+}
+
+function applyDaylight() {
+  var a = (g_clock.time - 6) / 12 * Math.PI;   // 0 at sunrise, π at sunset
+  var up = Math.sin(a) >= 0;
+  var d  = daylight();
+
+  // The moon sits opposite the sun, so one of them is always up.
+  // The direction flips where both have faded to nothing.
+  var s = up ? 1 : -1;
+  g_light.sunDir[0] = s * Math.cos(a);
+  g_light.sunDir[1] = s * Math.sin(a);
+  g_light.sunDir[2] = 0.3;
+
+  var low  = 1 - Math.min(1, Math.abs(Math.sin(a)) / 0.3);   // 1 on the horizon
+  var fade = Math.min(1, Math.abs(Math.sin(a)) / HORIZON_FADE);
+  fade = fade * fade * (3 - 2 * fade);   // smoothstep, 0 on the horizon
+  for (var i = 0; i < 3; i++) {
+    var sun = SUN_COLOR[i] + (SUNSET_COLOR[i] - SUN_COLOR[i]) * low;
+    g_light.sunColor[i] = (up ? sun * d : MOON_COLOR[i]) * fade;
+    g_light.ambient[i]  = NIGHT_AMBIENT[i] + (DAY_AMBIENT[i] - NIGHT_AMBIENT[i]) * d;
+  }
+
+  _lerpKeys(SKY_KEYS,     g_clock.time, g_skyColor);
+  _lerpKeys(HORIZON_KEYS, g_clock.time, g_horizonColor);
+}
+
+function clockString() {
+  var minutes = Math.floor(g_clock.time * 60);
+  var hh = Math.floor(minutes / 60), mm = minutes % 60;
+  return (hh < 10 ? '0' : '') + hh + ':' + (mm < 10 ? '0' : '') + mm;
+}
+
+// Blend the [hour, colour] keys at hour x into out[0..2]
+function _lerpKeys(keys, x, out) {
+  var i = 1;
+  while (i < keys.length - 1 && x > keys[i][0]) i++;
+  var a = keys[i - 1], b = keys[i];
+  var t = Math.max(0, Math.min(1, (x - a[0]) / (b[0] - a[0])));
+  for (var c = 0; c < 3; c++) out[c] = a[1][c] + (b[1][c] - a[1][c]) * t;
+}
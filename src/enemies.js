@@ -3,12 +3,17 @@
 // ============================================================
 'use strict';
 
+// All rates are per second — updateEnemies() is stepped with a fixed dt
 var g_enemies        = [];
-var ENEMY_SPEED      = 0.02;
-var ENEMY_SPAWN_RATE = 180;
+var ENEMY_SPEED      = 1.2;    // units per second
+var ENEMY_SPAWN_INTERVAL = 3;  // seconds between spawns in daylight
+var ENEMY_NIGHT_SPAWN_SCALE = 0.4;  // interval × this at night (src/daynight.js)
 var ENEMY_MAX        = 20;
-var g_enemySpawnTimer = 0;
+var g_enemySpawnTimer = 0;     // seconds since last spawn
+var g_enemySpawnZones = [];    // [{x0,z0,x1,z1}] rectangles from the level; [] = map edges
 var ENEMY_DAMAGE_DIST = 1.2;
+var ENEMY_DPS        = 9;      // health lost per second while in range
+var ENEMY_BOB_SPEED  = 4.8;    // radians per second
 
 var g_playerHealth = 100;
 var g_score        = 0;
@@ -26,46 +31,72 @@ var _eWhite  = new Float32Array([0.95, 0.92, 0.88]);
 
 function initEnemies() {
   g_enemies      = [];
+  g_enemySpawnTimer = 0;
   g_playerHealth = 100;
   g_score        = 0;
   spawnEnemy();
 }
 
+// Spawns at a random point in a random zone of g_enemySpawnZones,
+// or just inside a random edge of the map when the level has none
 function spawnEnemy() {
-  var edge = Math.floor(Math.random() * 4);
   var x, z;
-  if      (edge === 0) { x = 1  + Math.random()*30; z = 1;  }
-  else if (edge === 1) { x = 1  + Math.random()*30; z = 30; }
-  else if (edge === 2) { x = 1;  z = 1 + Math.random()*30; }
-  else                 { x = 30; z = 1 + Math.random()*30; }
-  g_enemies.push({ x:x, y:0.5, z:z, health:2, scale:0.6,
-                   bobTime:Math.random()*Math.PI*2, dead:false });
+  if (g_enemySpawnZones.length > 0) {
+    var zone = g_enemySpawnZones[Math.floor(random() * g_enemySpawnZones.length)];
+    x = zone.x0 + random() * (zone.x1 - zone.x0);
+    z = zone.z0 + random() * (zone.z1 - zone.z0);
+    _pushEnemy(x, z);
+    return;
+  }
+
+  var maxX = g_world.width - 2, maxZ = g_world.depth - 2;
+  var edge = Math.floor(random() * 4);
+  if      (edge === 0) { x = 1 + random()*(maxX-1); z = 1;    }
+  else if (edge === 1) { x = 1 + random()*(maxX-1); z = maxZ; }
+  else if (edge === 2) { x = 1;    z = 1 + random()*(maxZ-1); }
+  else                 { x = maxX; z = 1 + random()*(maxZ-1); }
+  _pushEnemy(x, z);
+}
+
+function _pushEnemy(x, z) {
+  // px/py/pz = position at the previous sim step, for interpolated drawing
+  g_enemies.push({ x:x, y:0.5, z:z, px:x, py:0.5, pz:z, health:2, scale:0.6,
+                   bobTime:random()*Math.PI*2, dead:false });
 }
 
-function updateEnemies(camera) {
+function updateEnemies(camera, dt) {
   var px = camera.eye[0], pz = camera.eye[2];
-  g_enemySpawnTimer++;
-  if (g_enemySpawnTimer >= ENEMY_SPAWN_RATE) {
+  g_enemySpawnTimer += dt;
+  if (g_enemySpawnTimer >= enemySpawnInterval()) {
     g_enemySpawnTimer = 0;
     if (g_enemies.length < ENEMY_MAX) spawnEnemy();
   }
   for (var i = 0; i < g_enemies.length; i++) {
     var e = g_enemies[i];
     if (e.dead) continue;
+    e.px = e.x; e.py = e.y; e.pz = e.z;
     var dx = px - e.x, dz = pz - e.z;
     var dist = Math.sqrt(dx*dx + dz*dz);
-    if (dist > 0.01) { e.x += (dx/dist)*ENEMY_SPEED; e.z += (dz/dist)*ENEMY_SPEED; }
-    e.bobTime += 0.08;
+    var step = ENEMY_SPEED * dt;
+    if (dist > 0.01) { e.x += (dx/dist)*step; e.z += (dz/dist)*step; }
+    e.bobTime += ENEMY_BOB_SPEED * dt;
     e.y = 0.5 + Math.abs(Math.sin(e.bobTime)) * 0.15;
     if (dist < ENEMY_DAMAGE_DIST) {
-      g_playerHealth -= 0.15;
+      g_playerHealth -= ENEMY_DPS * dt;
       if (g_playerHealth < 0) g_playerHealth = 0;
     }
   }
   g_enemies = g_enemies.filter(function(e){ return !e.dead; });
 }
 
-function drawEnemies(gl) {
+// Seconds between spawns right now — shorter the darker it is
+function enemySpawnInterval() {
+  var scale = ENEMY_NIGHT_SPAWN_SCALE + (1 - ENEMY_NIGHT_SPAWN_SCALE) * daylight();
+  return ENEMY_SPAWN_INTERVAL * scale;
+}
+
+// alpha (0..1) blends each enemy from its previous to current sim position
+function drawEnemies(gl, alpha) {
   if (!g_sheepProgram) return;
 
   for (var i = 0; i < g_enemies.length; i++) {
@@ -77,7 +108,9 @@ function drawEnemies(gl) {
     var spin = e.bobTime * 30;
 
     // ── Body cube ──
-    _eBase.setTranslate(e.x, e.y, e.z);
+    _eBase.setTranslate(e.px + (e.x - e.px) * alpha,
+                        e.py + (e.y - e.py) * alpha,
+                        e.pz + (e.z - e.pz) * alpha);
     _eBase.rotate(spin, 0, 1, 0);
 
     _eFace[0].set(_eBase); _eFace[0].scale(sc, sc, sc);
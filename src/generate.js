@@ -0,0 +1,228 @@
+// ============================================================
+//  src/generate.js  —  Seeded procedural levels
+//
+//    generateLevel(type, seed, size) — a level object for loadLevel()
+//
+//  Types (GENERATORS below):
+//    maze    — rooms joined by corridors, carved out of solid walls
+//    ruins   — open field scattered with broken walls and towers
+//    terrain — rolling grass hills from value noise
+//
+//  Every type is closed in by a border wall. The same type, seed
+//  and size always give the same map: each call draws from its own
+//  generator seeded from `seed` (makeRandom in src/random.js).
+//
+//  Pick one with ?gen=maze&genseed=42 (optional &size=48) or the
+//  generator menu under the canvas. The map seed is separate from
+//  the session's ?seed= (src/random.js), so one doesn't move the
+//  other.
+// ============================================================
+
+'use strict';
+
+var GEN_DEFAULT_SIZE = 32;
+var GEN_MIN_SIZE     = 12;
+var GEN_MAX_SIZE     = 128;
+
+var GENERATORS = {
+  maze:    _genMaze,
+  ruins:   _genRuins,
+  terrain: _genTerrain
+};
+
+// Returns null (and logs why) for an unknown type. seed may be a
+// number or any string; size is the map width and depth.
+function generateLevel(type, seed, size) {
+  var gen = GENERATORS[type];
+  if (!gen) {
+    console.error('Unknown level generator: ' + type);
+    return null;
+  }
+  size = Math.max(GEN_MIN_SIZE, Math.min(GEN_MAX_SIZE, Math.floor(size) || GEN_DEFAULT_SIZE));
+  seed = String(seed === undefined || seed === null ? '' : seed);
+
+  var rng   = makeRandom(hashSeed(seed));
+  var out   = gen(rng, size, size);   // { heightmap, blocks?, player?, columns? }
+  var level = {
+    version:    LEVEL_VERSION,
+    name:       type + ' ' + seed,
+    size:       { width: size, depth: size, height: DEFAULT_WORLD_HEIGHT },
+    blockTypes: BLOCK_NAMES.slice(),
+    heightmap:  out.heightmap,
+    blocks:     out.blocks || [],
+    sheep:      _pickOpenCells(rng, out.columns || out.heightmap, 2),
+    textures:   DEFAULT_TEXTURES.slice()
+  };
+  if (out.player) level.player = out.player;
+  return level;
+}
+
+// ── Shared helpers ────────────────────────────────────────────
+
+function _randInt(rng, n) {
+  return Math.floor(rng() * n);
+}
+
+// depth rows of width columns, every column `height` tall
+function _heightGrid(width, depth, height) {
+  var map = [];
+  for (var z = 0; z < depth; z++) {
+    var row = [];
+    for (var x = 0; x < width; x++) row.push(height);
+    map.push(row);
+  }
+  return map;
+}
+
+function _borderWalls(map, height) {
+  var d = map.length, w = map[0].length;
+  for (var x = 0; x < w; x++) { map[0][x] = height; map[d - 1][x] = height; }
+  for (var z = 0; z < d; z++) { map[z][0] = height; map[z][w - 1] = height; }
+}
+
+// count distinct empty (height 0) cells, as { x, z } cell centres
+function _pickOpenCells(rng, map, count) {
+  var open = [];
+  for (var z = 1; z < map.length - 1; z++) {
+    for (var x = 1; x < map[0].length - 1; x++) {
+      if (map[z][x] === 0) open.push({ x: x + 0.5, z: z + 0.5 });
+    }
+  }
+  var picked = [];
+  while (picked.length < count && open.length > 0) {
+    picked.push(open.splice(_randInt(rng, open.length), 1)[0]);
+  }
+  return picked;
+}
+
+// ── Maze: rooms and corridors ─────────────────────────────────
+
+var MAZE_WALL_HEIGHT = 3;
+
+function _genMaze(rng, w, d) {
+  var map   = _heightGrid(w, d, MAZE_WALL_HEIGHT);
+  var rooms = [];
+  var maxRooms = Math.floor(w * d / 80);
+
+  // Scatter non-overlapping rooms (a wall of at least 1 between them)
+  for (var tries = 0; tries < maxRooms * 10 && rooms.length < maxRooms; tries++) {
+    var rw = 3 + _randInt(rng, 5), rd = 3 + _randInt(rng, 5);
+    var r  = { x: 1 + _randInt(rng, w - rw - 2), z: 1 + _randInt(rng, d - rd - 2), w: rw, d: rd };
+    var clear = rooms.every(function(o) {
+      return r.x > o.x + o.w || o.x > r.x + r.w || r.z > o.z + o.d || o.z > r.z + r.d;
+    });
+    if (!clear) continue;
+    _fillRect(map, r.x, r.z, r.w, r.d, 0);
+    rooms.push(r);
+  }
+
+  // Join each room to the previous one with an L-shaped corridor
+  for (var i = 1; i < rooms.length; i++) {
+    var a = _roomCentre(rooms[i - 1]), b = _roomCentre(rooms[i]);
+    if (rng() < 0.5) {
+      _fillRect(map, Math.min(a.x, b.x), a.z, Math.abs(a.x - b.x) + 1, 1, 0);
+      _fillRect(map, b.x, Math.min(a.z, b.z), 1, Math.abs(a.z - b.z) + 1, 0);
+    } else {
+      _fillRect(map, a.x, Math.min(a.z, b.z), 1, Math.abs(a.z - b.z) + 1, 0);
+      _fillRect(map, Math.min(a.x, b.x), b.z, Math.abs(a.x - b.x) + 1, 1, 0);
+    }
+  }
+
+  var start = _roomCentre(rooms[0]);
+  return { heightmap: map, player: { x: start.x + 0.5, z: start.z + 0.5, yaw: 0 } };
+}
+
+function _roomCentre(r) {
+  return { x: r.x + Math.floor(r.w / 2), z: r.z + Math.floor(r.d / 2) };
+}
+
+function _fillRect(map, x0, z0, w, d, height) {
+  for (var z = z0; z < z0 + d; z++)
+    for (var x = x0; x < x0 + w; x++) map[z][x] = height;
+}
+
+// ── Ruins: broken walls and towers on open ground ─────────────
+
+function _genRuins(rng, w, d) {
+  var map = _heightGrid(w, d, 0);
+  _borderWalls(map, 4);
+
+  // Wall fragments: straight runs with crumbling, gappy heights
+  var walls = Math.floor(w * d / 60);
+  for (var i = 0; i < walls; i++) {
+    var x = 2 + _randInt(rng, w - 4), z = 2 + _randInt(rng, d - 4);
+    var alongX = rng() < 0.5, len = 3 + _randInt(rng, 6);
+    for (var s = 0; s < len; s++) {
+      var cx = alongX ? x + s : x, cz = alongX ? z : z + s;
+      if (cx >= w - 2 || cz >= d - 2) break;
+      map[cz][cx] = rng() < 0.15 ? 0 : 1 + _randInt(rng, 3);
+    }
+  }
+
+  // A few 2×2 towers, tall enough to be brick
+  var towers = 1 + Math.floor(w * d / 400);
+  for (var t = 0; t < towers; t++) {
+    _fillRect(map, 2 + _randInt(rng, w - 5), 2 + _randInt(rng, d - 5), 2, 2, 4 + _randInt(rng, 3));
+  }
+  return { heightmap: map };
+}
+
+// ── Terrain: value-noise hills with grass on top ──────────────
+// The columns go in as blocks (dirt under a grass top, a stone
+// border) rather than as heightmap heights, which loadHeightmap()
+// would build from brick at 4 and up. `columns` keeps the heights
+// for placing the sheep.
+
+var TERRAIN_MAX_HEIGHT = 5;
+
+function _genTerrain(rng, w, d) {
+  var coarse = _valueNoise(rng, w, d, 8);
+  var fine   = _valueNoise(rng, w, d, 4);
+  var map    = _heightGrid(w, d, 0);
+  var blocks = [];
+  var dirt   = blockIdByName('dirt');
+  var grass  = blockIdByName('grass');
+
+  for (var z = 1; z < d - 1; z++) {
+    for (var x = 1; x < w - 1; x++) {
+      var n = (coarse(x, z) + 0.5 * fine(x, z)) / 1.5;
+      var h = Math.floor(n * (TERRAIN_MAX_HEIGHT + 2)) - 1;   // valleys flatten to 0
+      map[z][x] = Math.max(0, Math.min(TERRAIN_MAX_HEIGHT, h));
+      _stackColumn(blocks, x, z, map[z][x], dirt, grass);
+    }
+  }
+  _borderWalls(map, TERRAIN_MAX_HEIGHT + 2);
+  for (var z = 0; z < d; z++) {
+    for (var x = 0; x < w; x++) {
+      if (x === 0 || z === 0 || x === w - 1 || z === d - 1) {
+        _stackColumn(blocks, x, z, map[z][x], BLOCK_STONE, BLOCK_STONE);
+      }
+    }
+  }
+  return { heightmap: _heightGrid(w, d, 0), blocks: blocks, columns: map };
+}
+
+// A column `height` tall as [x, y, z, id] blocks: `body` with `top`
+function _stackColumn(blocks, x, z, height, body, top) {
+  for (var y = 0; y < height; y++) blocks.push([x, y, z, y === height - 1 ? top : body]);
+}
+
+// Smoothly interpolated random lattice with `cell` columns between
+// lattice points; returns f(x, z) in [0, 1)
+function _valueNoise(rng, w, d, cell) {
+  var gw = Math.ceil(w / cell) + 2, gd = Math.ceil(d / cell) + 2;
+  var lattice = [];
+  for (var i = 0; i < gw * gd; i++) lattice.push(rng());
+
+  return function(x, z) {
+    var gx = x / cell, gz = z / cell;
+    var ix = Math.floor(gx), iz = Math.floor(gz);
+    var fx = gx - ix, fz = gz - iz;
+    fx = fx * fx * (3 - 2 * fx);   // smoothstep
+    fz = fz * fz * (3 - 2 * fz);
+    var v00 = lattice[iz * gw + ix],       v10 = lattice[iz * gw + ix + 1];
+    var v01 = lattice[(iz + 1) * gw + ix], v11 = lattice[(iz + 1) * gw + ix + 1];
+    var top = v00 + (v10 - v00) * fx, bottom = v01 + (v11 - v01) * fx;
+    return top + (bottom - top) * fz;
+  };
+}
@@ -7,10 +7,10 @@
 'use strict';
 
 var g_bullets       = [];
-var g_shootCooldown = 0;
-var BULLET_SPEED    = 0.5;
-var BULLET_LIFE     = 80;
-var SHOOT_COOLDOWN  = 12;
+var g_shootCooldown = 0;      // seconds until the next shot is allowed
+var BULLET_SPEED    = 30;     // units per second
+var BULLET_LIFE     = 4 / 3;  // seconds
+var SHOOT_COOLDOWN  = 0.2;    // seconds between shots
 
 // Pre-allocated scratch
 var _bMat          = new Matrix4();
@@ -28,23 +28,27 @@ function shoot(camera) {
 
   var dx = Math.cos(yawR)*cp, dy = Math.sin(pitchR), dz = Math.sin(yawR)*cp;
 
+  var x = camera.eye[0]+dx*0.5, y = camera.eye[1]+dy*0.5, z = camera.eye[2]+dz*0.5;
   g_bullets.push({
-    x: camera.eye[0]+dx*0.5, y: camera.eye[1]+dy*0.5, z: camera.eye[2]+dz*0.5,
+    x: x, y: y, z: z,
+    px: x, py: y, pz: z,   // previous sim position, for interpolated drawing
     dx: dx*BULLET_SPEED, dy: dy*BULLET_SPEED, dz: dz*BULLET_SPEED,
     life: BULLET_LIFE
   });
 }
 
-function updateBullets() {
-  if (g_shootCooldown > 0) g_shootCooldown--;
+// Stepped with a fixed dt (seconds); velocities are units per second
+function updateBullets(dt) {
+  if (g_shootCooldown > 0) g_shootCooldown -= dt;
   for (var i = 0; i < g_bullets.length; i++) {
     var b = g_bullets[i];
-    b.x += b.dx; b.y += b.dy; b.z += b.dz; b.life--;
+    b.px = b.x; b.py = b.y; b.pz = b.z;
+    b.x += b.dx*dt; b.y += b.dy*dt; b.z += b.dz*dt; b.life -= dt;
   }
   g_bullets = g_bullets.filter(function(b) { return b.life > 0; });
 }
 
-function drawBullets(gl) {
+function drawBullets(gl, alpha) {
   if (!g_sheepProgram || g_bullets.length === 0) return;
 
   // Brighter ambient just for bullets so they're easy to see
@@ -52,13 +56,15 @@ function drawBullets(gl) {
 
   for (var i = 0; i < g_bullets.length; i++) {
     var b = g_bullets[i];
-    _bMat.setTranslate(b.x, b.y, b.z);
+    _bMat.setTranslate(b.px + (b.x - b.px) * alpha,
+                       b.py + (b.y - b.py) * alpha,
+                       b.pz + (b.z - b.pz) * alpha);
     _bMat.scale(0.12, 0.12, 0.12);
     _ss(gl, _bMat, _bColorYellow, g_sheepCubeData);
   }
 
   // Restore normal ambient for anything drawn after
-  gl.uniform3f(g_sl.u_Ambient, 0.35, 0.35, 0.35);
+  gl.uniform3fv(g_sl.u_Ambient, g_light.ambient);
 }
 
 function getBullets()    { return g_bullets; }
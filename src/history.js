@@ -0,0 +1,97 @@
+// ============================================================
+//  src/history.js  —  Undo / redo for world edits
+//
+//  Player edits go through editBlock() instead of setBlock(), which
+//  records each change as { x, y, z, from, to }. Changes are grouped
+//  into steps; one Ctrl+Z undoes a whole step.
+//
+//    editBlock(x,y,z,id) — setBlock() + record the change
+//    beginEditBatch()    — group every edit until endEditBatch()
+//    endEditBatch()        into one step (bulk tools)
+//    undoEdit()          — revert the newest step
+//    redoEdit()          — re-apply the newest undone step
+//    clearHistory()      — forget everything (new level loaded)
+//
+//  Edits less than HISTORY_MERGE_TIME apart also share a step, so a
+//  quick burst of T presses undoes in one go. The gap is measured in
+//  simulated time (g_simTime), so replays group edits identically.
+//  Loading code keeps calling setBlock() directly and is never
+//  recorded.
+// ============================================================
+
+'use strict';
+
+var HISTORY_MAX        = 100;   // undo steps kept; the oldest drop off
+var HISTORY_MERGE_TIME = 0.3;   // seconds; edits closer than this join one step
+
+var g_undoStack = [];   // steps, newest last: [{ x, y, z, from, to }, ...]
+var g_redoStack = [];
+
+var _historyBatch    = 0;          // nesting depth of beginEditBatch()
+var _historyBatchNew = false;      // next edit in the batch opens a step
+var _historyLastEdit = -Infinity;  // g_simTime of the last recorded edit
+
+// ── Recording ─────────────────────────────────────────────────
+
+function editBlock(x, y, z, id) {
+  var from = getBlock(x, y, z);
+  if (from === id || !setBlock(x, y, z, id)) return false;
+
+  var now = g_simTime;
+  var merge = _historyBatch > 0
+    ? !_historyBatchNew
+    : now - _historyLastEdit < HISTORY_MERGE_TIME;
+  if (!merge || g_undoStack.length === 0) {
+    g_undoStack.push([]);
+    if (g_undoStack.length > HISTORY_MAX) g_undoStack.shift();
+  }
+  g_undoStack[g_undoStack.length - 1].push({ x: x, y: y, z: z, from: from, to: id });
+
+  _historyBatchNew = false;
+  _historyLastEdit = now;
+  g_redoStack.length = 0;   // a new edit forks history
+  return true;
+}
+
+function beginEditBatch() {
+  if (_historyBatch++ === 0) _historyBatchNew = true;
+}
+
+function endEditBatch() {
+  if (_historyBatch > 0 && --_historyBatch === 0) _historyLastEdit = -Infinity;
+}
+
+// ── Undo / redo ───────────────────────────────────────────────
+// Both write through setBlock() so the touched chunks are marked
+// dirty; the renderer re-meshes just those.
+
+function undoEdit() {
+  var step = g_undoStack.pop();
+  if (!step) return false;
+  for (var i = step.length - 1; i >= 0; i--) {
+    var c = step[i];
+    setBlock(c.x, c.y, c.z, c.from);
+  }
+  g_redoStack.push(step);
+  _historyLastEdit = -Infinity;   // the next edit starts a fresh step
+  return true;
+}
+
+function redoEdit() {
+  var step = g_redoStack.pop();
+  if (!step) return false;
+  for (var i = 0; i < step.length; i++) {
+    var c = step[i];
+    setBlock(c.x, c.y, c.z, c.to);
+  }
+  g_undoStack.push(step);
+  _historyLastEdit = -Infinity;
+  return true;
+}
+
+function clearHistory() {
+  g_undoStack.length = 0;
+  g_redoStack.length = 0;
+  _historyBatch    = 0;
+  _historyLastEdit = -Infinity;
+}
@@ -0,0 +1,303 @@
+// ============================================================
+//  src/level.js
+//
+//  Levels as JSON data files instead of source edits.
+//
+//    loadLevel(json)  — replace world, player, sheep, enemies and
+//                       textures with a level (object or string)
+//    restartLevel(level) — player and entities back to the start
+//                       of the loaded level, world untouched
+//    exportLevel()    — the current world as a level object
+//    fetchLevel(url)  — load a level file over HTTP
+//    downloadLevel()  — save exportLevel() as a .json file
+//
+//  Format (version 1). The world is either "voxels", which then
+//  needs "size", or "heightmap", which sizes the world itself
+//  (its "size" is ignored). Everything else is optional:
+//
+//  {
+//    "version":    1,
+//    "name":       "Courtyard",
+//    "size":       { "width": 32, "depth": 32, "height": 16 },
+//    "blockTypes": ["air", "stone", "brick"],
+//    "heightmap":  [[4,4,4,...], ...],      // equal rows of column heights,
+//                                           // brick at 4+, stone below
+//    "voxels":     [0, 1024, 1, 3, ...],    // run-length pairs: id, count
+//                                           // in x, then z, then y order
+//    "blocks":     [[x, y, z, id], ...],    // single voxels set on top of
+//                                           // the above (bridges, doors)
+//    "player":     { "x": 17.5, "z": 15.5, "yaw": 0 },
+//    "sheep":      [{ "x": 8, "z": 8 }],
+//    "enemySpawnZones": [{ "x0": 1, "z0": 1, "x1": 31, "z1": 2 }],
+//    "clock":      { "time": 9, "dayLength": 240 },   // src/daynight.js
+//    "textures":   ["stone", "brick", "grass"]
+//  }
+//
+//  Worlds are at most MAX_WORLD_SIZE columns wide and deep and
+//  MAX_WORLD_HEIGHT layers tall (src/world.js).
+//
+//  Block ids inside a level index into its own "blockTypes" list,
+//  so levels keep working if the engine's ids are renumbered.
+//  "textures" gives a procedural painter name (TEXTURE_PAINTERS in
+//  main.js) or an image URL for each atlas tile.
+// ============================================================
+
+'use strict';
+
+var LEVEL_VERSION = 1;
+
+// Meta of the level currently loaded — exported back out unchanged
+var g_levelName  = 'Untitled';
+var g_levelSpawn = null;   // { x, z, yaw } or null → findSpawnPoint()
+var g_levelClock = null;   // { time, dayLength } or null → g_clockDefaults
+var g_levelSerial = 0;     // bumped by every load; the renderer watches it
+
+// The built-in level: the hand-drawn g_map from world.js
+function defaultLevel() {
+  return {
+    version:   LEVEL_VERSION,
+    name:      'Default',
+    size:      { width: g_map[0].length, depth: g_map.length, height: DEFAULT_WORLD_HEIGHT },
+    heightmap: g_map,
+    sheep:     [{ x: 8, z: 8 }],
+    textures:  DEFAULT_TEXTURES.slice()
+  };
+}
+
+// Returns false (and logs why) if the level could not be loaded;
+// the current world is left untouched in that case: everything is
+// checked before g_world is replaced.
+function loadLevel(json) {
+  var level;
+  try {
+    level = (typeof json === 'string') ? JSON.parse(json) : json;
+  } catch (err) {
+    console.error('Level is not valid JSON: ' + err.message);
+    return false;
+  }
+  if (!level || level.version !== LEVEL_VERSION) {
+    console.error('Unsupported level version: ' + (level && level.version));
+    return false;
+  }
+  var ids = _levelBlockIds(level.blockTypes || BLOCK_NAMES);
+  if (!ids) return false;
+  var problem = _levelProblem(level, ids);
+  if (problem) {
+    console.error('Invalid level: ' + problem);
+    return false;
+  }
+
+  // ── World ──
+  if (level.voxels) {
+    var size = level.size;
+    g_world = createWorld(size.width, size.depth, size.height || DEFAULT_WORLD_HEIGHT);
+    _decodeVoxels(level.voxels, ids);
+  } else {
+    loadHeightmap(level.heightmap);
+  }
+  var blocks = level.blocks || [];
+  for (var i = 0; i < blocks.length; i++) {
+    var b = blocks[i];
+    setBlock(b[0], b[1], b[2], ids[b[3]]);
+  }
+  buildWorld();
+
+  g_levelName  = level.name || 'Untitled';
+  g_levelSpawn = level.player || null;
+  g_levelClock = level.clock  || null;
+  restartLevel(level);
+
+  // ── Textures (painted into the atlas by the renderer) ──
+  var textures = level.textures || [];
+  g_textureSources = DEFAULT_TEXTURES.map(function(name, tile) {
+    return textures[tile] || name;
+  });
+
+  g_levelSerial++;
+  return true;
+}
+
+// Put the player, entities and clock back where `level` starts
+// them, over the world as it stands. `level` must be the one that
+// is loaded; replays rewind with this instead of reloading it.
+function restartLevel(level) {
+  clearHistory();   // old edits refer to the previous world
+
+  // ── Player ──
+  var spawn = g_levelSpawn || findSpawnPoint();
+  camera.yaw   = (g_levelSpawn && g_levelSpawn.yaw) || 0;
+  camera.pitch = 0;
+  camera.teleport(spawn.x, getBlockHeight(Math.floor(spawn.x), Math.floor(spawn.z)), spawn.z);
+
+  // ── Entities ──
+  g_sheepPositions  = (level.sheep || []).map(function(p) { return { x: p.x, z: p.z }; });
+  g_enemySpawnZones = (level.enemySpawnZones || []).slice();
+  setClock(g_levelClock);
+  initEnemies();
+  initGun();
+}
+
+// Seed for content that belongs to the level rather than the
+// session (the atlas textures), so a level looks the same however
+// the gameplay stream has been seeded since
+function levelSeed(name) {
+  return hashSeed(g_levelName + ':' + name);
+}
+
+// The current world and level setup as a level object (voxel form)
+function exportLevel() {
+  var level = {
+    version:    LEVEL_VERSION,
+    name:       g_levelName,
+    size:       { width: g_world.width, depth: g_world.depth, height: g_world.height },
+    blockTypes: BLOCK_NAMES.slice(),
+    voxels:     _encodeVoxels(),
+    sheep:      g_sheepPositions.map(function(p) { return { x: p.x, z: p.z }; }),
+    enemySpawnZones: g_enemySpawnZones.slice(),
+    textures:   g_textureSources.slice()
+  };
+  if (g_levelSpawn) level.player = g_levelSpawn;
+  if (g_levelClock) level.clock  = g_levelClock;
+  return level;
+}
+
+function fetchLevel(url) {
+  return fetch(url).then(function(res) {
+    if (!res.ok) throw new Error('HTTP ' + res.status);
+    return res.text();
+  }).then(function(text) {
+    if (!loadLevel(text)) throw new Error('invalid level file');
+  });
+}
+
+// Offer the current level as a .json download
+function downloadLevel() {
+  var text = JSON.stringify(exportLevel());
+  var a    = document.createElement('a');
+  a.href     = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+  a.download = (g_levelName || 'level').replace(/[^a-z0-9_-]+/gi, '_') + '.json';
+  a.click();
+  URL.revokeObjectURL(a.href);
+}
+
+// ── Helpers ───────────────────────────────────────────────────
+
+function _isCount(n)  { return typeof n === 'number' && n % 1 === 0 && n >= 0; }
+function _isNumber(n) { return typeof n === 'number' && isFinite(n); }
+
+// Optional fields may be left out or null
+function _isGiven(v) { return v !== undefined && v !== null; }
+
+// A whole number in 1..max
+function _isSize(n, max) { return _isCount(n) && n > 0 && n <= max; }
+
+// True if every named field of `obj` is a finite number
+function _hasNumbers(obj, names) {
+  return !!obj && typeof obj === 'object' &&
+         names.every(function(name) { return _isNumber(obj[name]); });
+}
+
+// What is wrong with a level, or null if it can be loaded
+function _levelProblem(level, ids) {
+  if (level.voxels) {
+    var size = level.size;
+    if (!size) return '"voxels" needs a "size"';
+    if (!(_isSize(size.width, MAX_WORLD_SIZE) && _isSize(size.depth, MAX_WORLD_SIZE))) {
+      return '"size" needs whole "width" and "depth" from 1 to ' + MAX_WORLD_SIZE;
+    }
+    if (size.height !== undefined && !_isSize(size.height, MAX_WORLD_HEIGHT)) {
+      return '"size.height" must be a whole number from 1 to ' + MAX_WORLD_HEIGHT;
+    }
+    if (!Array.isArray(level.voxels) || !level.voxels.every(_isCount)) {
+      return '"voxels" must be a list of whole numbers';
+    }
+  } else if (level.heightmap) {
+    var map = level.heightmap;
+    if (!Array.isArray(map) || map.length === 0 || !Array.isArray(map[0]) || map[0].length === 0) {
+      return '"heightmap" must be a list of rows';
+    }
+    if (map.length > MAX_WORLD_SIZE || map[0].length > MAX_WORLD_SIZE) {
+      return '"heightmap" is bigger than ' + MAX_WORLD_SIZE + ' × ' + MAX_WORLD_SIZE;
+    }
+    for (var row = 0; row < map.length; row++) {
+      if (!Array.isArray(map[row]) || map[row].length !== map[0].length) {
+        return '"heightmap" row ' + row + ' is not ' + map[0].length + ' columns long';
+      }
+      if (!map[row].every(function(h) { return _isCount(h) && h <= MAX_WORLD_HEIGHT; })) {
+        return '"heightmap" row ' + row + ' has a height outside 0..' + MAX_WORLD_HEIGHT;
+      }
+    }
+  } else {
+    return 'neither "voxels" nor "heightmap"';
+  }
+
+  var blocks = level.blocks || [];
+  if (!Array.isArray(blocks)) return '"blocks" must be a list';
+  for (var i = 0; i < blocks.length; i++) {
+    var b = blocks[i];
+    if (!Array.isArray(b) || b.length !== 4 || !b.every(_isCount)) {
+      return '"blocks" entry ' + i + ' is not [x, y, z, id]';
+    }
+    if (b[3] >= ids.length) return '"blocks" entry ' + i + ' has unknown block id ' + b[3];
+  }
+
+  // ── Entities (set up after the world is replaced, so checked now) ──
+  var p = level.player;
+  if (_isGiven(p) && !(_hasNumbers(p, ['x', 'z']) && (p.yaw === undefined || _isNumber(p.yaw)))) {
+    return '"player" needs numbers "x" and "z" (and "yaw" if given)';
+  }
+  var lists = { sheep: ['x', 'z'], enemySpawnZones: ['x0', 'z0', 'x1', 'z1'] };
+  for (var key in lists) {
+    var list = level[key];
+    if (!_isGiven(list)) continue;
+    if (!Array.isArray(list)) return '"' + key + '" must be a list';
+    for (var j = 0; j < list.length; j++) {
+      if (!_hasNumbers(list[j], lists[key])) {
+        return '"' + key + '" entry ' + j + ' needs numbers ' + lists[key].join(', ');
+      }
+    }
+  }
+  var c = level.clock;
+  if (_isGiven(c)) {
+    if (typeof c !== 'object' || (c.time !== undefined && !_isNumber(c.time)) ||
+        (c.dayLength !== undefined && !(_isNumber(c.dayLength) && c.dayLength > 0))) {
+      return '"clock" needs a number "time" and a positive "dayLength"';
+    }
+  }
+  return null;
+}
+
+// Level-local id → engine block id, or null if a name is unknown
+function _levelBlockIds(names) {
+  var ids = [];
+  for (var i = 0; i < names.length; i++) {
+    var id = blockIdByName(names[i]);
+    if (id < 0) {
+      console.error('Level uses unknown block type: ' + names[i]);
+      return null;
+    }
+    ids.push(id);
+  }
+  return ids;
+}
+
+function _encodeVoxels() {
+  var v = g_world.voxels, runs = [];
+  for (var i = 0; i < v.length; ) {
+    var id = v[i], n = 1;
+    while (i + n < v.length && v[i + n] === id) n++;
+    runs.push(id, n);
+    i += n;
+  }
+  return runs;
+}
+
+function _decodeVoxels(runs, ids) {
+  var v = g_world.voxels, off = 0;
+  for (var r = 0; r + 1 < runs.length && off < v.length; r += 2) {
+    var id = ids[runs[r]] || BLOCK_AIR;
+    var n  = Math.min(runs[r + 1], v.length - off);
+    v.fill(id, off, off + n);
+    off += n;
+  }
+}
@@ -0,0 +1,73 @@
+// ============================================================
+//  src/light.js  —  One light setup shared by every shader
+//
+//  The world pass (main.js) and the entity pass (sheep.js) light
+//  surfaces with the same three terms, so blocks and sheep match:
+//
+//    ambient — flat light from everywhere
+//    sun     — directional light from g_light.sunDir, blocked by
+//              whatever the shadow map says is in the way
+//    lamp    — point light at g_light.pointPos, fading to nothing
+//              at pointRange units
+//
+//  LIGHT_GLSL is pasted into both fragment shaders, after SHADOW_GLSL
+//  (src/shadow.js); its light(n, pos) returns the RGB to multiply a
+//  surface colour by, for a unit world normal n at world position pos.
+//
+//    cacheLightLocations(gl, program, locs) — add the uniforms to locs
+//    uploadLight(gl, locs)                  — set them from g_light on
+//                                             the program in use
+// ============================================================
+
+'use strict';
+
+var g_light = {
+  ambient:    [0.35, 0.35, 0.35],
+  sunDir:     [0.4, 0.9, 0.25],    // towards the sun (normalised on upload)
+  sunColor:   [0.45, 0.45, 0.42],
+  pointPos:   [16, 20, 16],        // fitSceneToWorld() centres it over the map
+  pointColor: [0.35, 0.35, 0.35],
+  pointRange: 60
+};
+
+var LIGHT_GLSL = `
+uniform vec3  u_Ambient;
+uniform vec3  u_SunDir;        // unit vector towards the sun
+uniform vec3  u_SunColor;
+uniform vec3  u_LightPos;
+uniform vec3  u_LightColor;
+uniform float u_LightRange;
+
+vec3 light(vec3 n, vec3 pos) {
+  vec3  toLamp = u_LightPos - pos;
+  float fade   = clamp(1.0 - length(toLamp) / u_LightRange, 0.0, 1.0);
+  return u_Ambient
+       + u_SunColor   * max(dot(n, u_SunDir), 0.0) * sunShadow(pos, n)
+       + u_LightColor * max(dot(n, normalize(toLamp)), 0.0) * fade;
+}
+`;
+
+var _sunDir = new Float32Array(3);
+
+function cacheLightLocations(gl, program, locs) {
+  locs.u_Ambient    = gl.getUniformLocation(program, 'u_Ambient');
+  locs.u_SunDir     = gl.getUniformLocation(program, 'u_SunDir');
+  locs.u_SunColor   = gl.getUniformLocation(program, 'u_SunColor');
+  locs.u_LightPos   = gl.getUniformLocation(program, 'u_LightPos');
+  locs.u_LightColor = gl.getUniformLocation(program, 'u_LightColor');
+  locs.u_LightRange = gl.getUniformLocation(program, 'u_LightRange');
+}
+
+// Call after useProgram() whenever g_light may have changed
+function uploadLight(gl, locs) {
+  var d = g_light.sunDir;
+  var len = Math.sqrt(d[0]*d[0] + d[1]*d[1] + d[2]*d[2]) || 1;
+  _sunDir[0] = d[0] / len; _sunDir[1] = d[1] / len; _sunDir[2] = d[2] / len;
+
+  gl.uniform3fv(locs.u_Ambient,    g_light.ambient);
+  gl.uniform3fv(locs.u_SunDir,     _sunDir);
+  gl.uniform3fv(locs.u_SunColor,   g_light.sunColor);
+  gl.uniform3fv(locs.u_LightPos,   g_light.pointPos);
+  gl.uniform3fv(locs.u_LightColor, g_light.pointColor);
+  gl.uniform1f (locs.u_LightRange, g_light.pointRange);
+}
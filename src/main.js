@@ -10,7 +10,11 @@
 //    lib/cuon-matrix.js  → Matrix4, Vector3
 //
 //  Our files (also loaded before this):
-//    src/camera.js  src/cube.js  src/world.js
+//    src/random.js  src/light.js  src/daynight.js  src/sky.js
+//    src/shadow.js
+//    src/camera.js  src/cube.js  src/world.js  src/chunks.js
+//    src/history.js src/build.js src/generate.js src/replay.js
+//    src/level.js   src/sim.js   (+ entity files)
 // ============================================================
 
 'use strict';
@@ -21,89 +25,207 @@
 var VSHADER_SOURCE = `
 attribute vec4 a_Position;
 attribute vec2 a_UV;
+attribute vec4 a_UVRect;   // atlas tile: xy = origin, zw = size
+attribute vec3 a_Tint;
+attribute vec3 a_Normal;
 
 uniform mat4 u_ModelMatrix;
 uniform mat4 u_ViewMatrix;
 uniform mat4 u_ProjectionMatrix;
 
 varying vec2 v_UV;
+varying vec4 v_UVRect;
+varying vec3 v_Tint;
+varying vec3 v_Normal;
+varying vec3 v_Position;   // world space, for the point light
+varying float v_FogDist;   // distance from the eye
 
 void main() {
-  gl_Position = u_ProjectionMatrix * u_ViewMatrix * u_ModelMatrix * a_Position;
-  v_UV = a_UV;
+  vec4 world  = u_ModelMatrix * a_Position;
+  vec4 view   = u_ViewMatrix * world;
+  gl_Position = u_ProjectionMatrix * view;
+  v_UV       = a_UV;
+  v_UVRect   = a_UVRect;
+  v_Tint     = a_Tint;
+  v_Normal   = mat3(u_ModelMatrix) * a_Normal;
+  v_Position = world.xyz;
+  v_FogDist  = length(view.xyz);
 }
 `;
 
 // ── Fragment Shader ──────────────────────────────────────────
-// Blends a solid base colour with a texture.
+// Blends a solid base colour with a texture from the atlas.
+// v_UV may run past 1 (greedy-merged faces); fract() wraps it
+// inside the vertex's atlas tile so the texture still repeats.
 // u_texColorWeight:
-//   0.0 → 100% base colour  (sky box — solid blue)
+//   0.0 → 100% base colour  (outlines)
 //   1.0 → 100% texture      (walls, ground)
+// u_lightWeight:
+//   0.0 → full brightness   (outlines)
+//   1.0 → lit by light()    (src/light.js — same as the sheep pass,
+//                             shadows included)
+// Everything then fades into the fog with distance (src/sky.js).
+// The sky has its own program in sky.js.
 var FSHADER_SOURCE = `
 #ifdef GL_ES
 precision mediump float;
 #endif
 
 varying vec2 v_UV;
+varying vec4 v_UVRect;
+varying vec3 v_Tint;
+varying vec3 v_Normal;
+varying vec3 v_Position;
+varying float v_FogDist;
 
 uniform vec4  u_baseColor;
 uniform float u_texColorWeight;
-uniform int   u_whichTexture;    // -1=none, 0=stone, 1=brick, 2=grass
-
-uniform sampler2D u_Sampler0;   // stone / mortar
-uniform sampler2D u_Sampler1;   // red brick
-uniform sampler2D u_Sampler2;   // grass / ground
+uniform float u_lightWeight;
 
+uniform sampler2D u_Atlas;      // every world texture, one tile each
+` + SHADOW_GLSL + LIGHT_GLSL + FOG_GLSL + `
 void main() {
-  vec4 texColor;
-  if      (u_whichTexture == 0) texColor = texture2D(u_Sampler0, v_UV);
-  else if (u_whichTexture == 1) texColor = texture2D(u_Sampler1, v_UV);
-  else if (u_whichTexture == 2) texColor = texture2D(u_Sampler2, v_UV);
-  else                          texColor = u_baseColor;
+  vec4 texColor = texture2D(u_Atlas, v_UVRect.xy + fract(v_UV) * v_UVRect.zw);
 
   gl_FragColor = (1.0 - u_texColorWeight) * u_baseColor
                +        u_texColorWeight  * texColor;
+  gl_FragColor.rgb *= v_Tint;
+  gl_FragColor.rgb *= mix(vec3(1.0), light(normalize(v_Normal), v_Position), u_lightWeight);
+  gl_FragColor.rgb  = fog(gl_FragColor.rgb, v_FogDist);
 }
 `;
 
 // ── Globals ───────────────────────────────────────────────────
+// The simulation's globals (camera, g_keys, SIM_DT, ...) live in
+// src/sim.js; everything here is rendering, input and the loop.
 var gl;
 var canvas;
-var camera;
 var g_locs = {};          // cached shader locations (set once)
 var g_worldCubes = [];    // kept for legacy compat
-var g_skyCube    = null;
 var g_groundCube = null;
-var g_batchStone = null;  // set by buildWorld(gl)
-var g_batchBrick = null;  // set by buildWorld(gl)
 
-var g_texLoaded  = 0;     // count up to NUM_TEXTURES before starting loop
-var NUM_TEXTURES = 3;
+var g_sceneLevel = 0;     // g_levelSerial the ground and atlas are set up for
+var g_frameTarget = null; // pickTarget() for this frame: outline and HUD
 
-var g_keys       = {};    // currently held keys
 var g_mouseLocked = false;
 
+// Mouse input gathered by the event handlers between sim steps;
+// each step takes it all as one input frame (see src/sim.js)
+var g_mouseDX     = 0;    // summed movementX / movementY
+var g_mouseDY     = 0;
+var g_shotClicks  = 0;    // left clicks while the pointer is locked
+var g_wheelSteps  = 0;    // block type steps from the scroll wheel
+
 // FPS tracking
 var g_lastTime   = 0;
 var g_frameCount = 0;
 var g_fps        = 0;
 
+// Fixed-timestep simulation — gameplay always advances in SIM_DT
+// steps regardless of display refresh rate; rendering interpolates.
+var MAX_FRAME_TIME = 0.25;    // clamp long stalls (tab switch) to avoid a step storm
+var g_simAccum     = 0;       // unsimulated time carried between frames (seconds)
+var g_prevFrameTime = 0;      // rAF timestamp of the previous frame (ms)
+
 // ── Entry point ───────────────────────────────────────────────
 function main() {
   canvas = document.getElementById('webgl');
 
   // getWebGLContext is from cuon-utils.js (same as your previous project)
-  gl = getWebGLContext(canvas);
-  if (!gl) { console.error('WebGL not available'); return; }
+  var context = getWebGLContext(canvas);
+  if (!context) { console.error('WebGL not available'); return; }
+
+  // One seed reproduces the session — log it for bug reports
+  var seedParam = new URLSearchParams(window.location.search).get('seed');
+  seedRandom(seedParam !== null ? seedParam : Math.floor(Math.random() * 4294967296));
+  console.info('Random seed: ' + g_randomSeed);
+
+  // ?time=20 starts at 8 pm, ?daylength=60 makes a day last a minute
+  // (for levels that don't set their own "clock")
+  var timeParam = parseFloat(new URLSearchParams(window.location.search).get('time'));
+  var dayParam  = parseFloat(new URLSearchParams(window.location.search).get('daylength'));
+  if (!isNaN(timeParam)) g_clockDefaults.time      = timeParam;
+  if (dayParam > 0)      g_clockDefaults.dayLength = dayParam;
+
+  // ?fog=linear|exp|off, ?fogdensity=0.03, ?fogcolor=a0b0c0
+  // (the colour otherwise follows the horizon)
+  var fogParams  = new URLSearchParams(window.location.search);
+  var fogMode    = fogParams.get('fog');
+  var fogDensity = parseFloat(fogParams.get('fogdensity'));
+  var fogHex     = /^#?([0-9a-f]{6})$/i.exec(fogParams.get('fogcolor') || '');
+  if (Object.prototype.hasOwnProperty.call(FOG_MODES, fogMode)) g_fog.mode = fogMode;
+  if (fogDensity >= 0) g_fog.density = fogDensity;
+  if (fogHex) {
+    var rgb = parseInt(fogHex[1], 16);
+    g_fog.color = [(rgb >> 16 & 255) / 255, (rgb >> 8 & 255) / 255, (rgb & 255) / 255];
+  }
+
+  // ?shadows=off|low|medium|high (the shadow map size; also a menu)
+  var shadowParam = new URLSearchParams(window.location.search).get('shadows');
+  if (Object.prototype.hasOwnProperty.call(SHADOW_QUALITY, shadowParam)) {
+    g_shadowQuality = shadowParam;
+  }
+
+  // Simulation + camera (positioned once the map is loaded, below)
+  initSimulation();
+  if (!initRenderer(context, canvas)) return;
+  initSounds();
+
+  // Load the level: builds the world and places the player, sheep
+  // and enemies; the first renderScene() after it paints its atlas.
+  // ?level=levels/foo.json loads a level file instead of the built-in
+  // one; ?gen=maze&genseed=42 (&size=48) generates one (src/generate.js).
+  // The map seed is its own parameter: ?seed= is the session's.
+  var params   = new URLSearchParams(window.location.search);
+  var levelUrl = params.get('level');
+  var genType  = params.get('gen');
+  if (levelUrl) {
+    fetchLevel(levelUrl).catch(function(err) {
+      console.error('Could not load level ' + levelUrl + ': ' + err.message);
+      loadLevel(defaultLevel());
+    });
+  } else if (genType) {
+    var generated = generateLevel(genType, params.get('genseed'), params.get('size'));
+    if (!generated || !loadLevel(generated)) loadLevel(defaultLevel());
+  } else {
+    loadLevel(defaultLevel());
+  }
+
+  // ?replay=replays/foo.json plays a recorded run (it brings its own level)
+  var replayUrl = params.get('replay');
+  if (replayUrl) {
+    fetchReplay(replayUrl).catch(function(err) {
+      console.error('Could not load replay ' + replayUrl + ': ' + err.message);
+    });
+  }
+
+  // Keyboard + mouse input
+  _setupInput();
+  _setupLevelButtons();
+  _setupShadowMenu();
+  initSaveUI();
+  initReplayUI();
+
+  requestAnimationFrame(tick);
+}
+
+// ── Renderer setup ────────────────────────────────────────────
+// Everything GL needs before the first renderScene(): shaders and
+// their locations, shared geometry, the projection, sky and ground.
+// Needs the camera (initSimulation) for the projection. Returns
+// false if a shader fails to build.
+function initRenderer(context, canvasEl) {
+  gl     = context;
+  canvas = canvasEl;
 
   // Compile + link shaders (initShaders is also from cuon-utils.js)
   if (!initShaders(gl, VSHADER_SOURCE, FSHADER_SOURCE)) {
     console.error('Shader compile/link failed');
-    return;
+    return false;
   }
 
   gl.enable(gl.DEPTH_TEST);
-  gl.clearColor(0.53, 0.81, 0.98, 1.0);   // fallback sky blue
+  gl.clearColor(0.53, 0.81, 0.98, 1.0);   // until renderScene() sets the fog colour
 
   // Cache all attribute/uniform locations once at startup
   _cacheLocations();
@@ -111,46 +233,36 @@ function main() {
   // Upload cube geometry to GPU (shared by all Cube instances)
   initCubeBuffer(gl);
 
-  // Camera setup
-  camera = new Camera();
   camera.setProjection(canvas);
 
   // Projection matrix never changes — upload once here
   gl.uniformMatrix4fv(g_locs.u_ProjectionMatrix, false,
                       camera.projectionMatrix.elements);
 
-  // Bind samplers to their texture units
-  gl.uniform1i(g_locs.u_Sampler0, 0);
-  gl.uniform1i(g_locs.u_Sampler1, 1);
-  gl.uniform1i(g_locs.u_Sampler2, 2);
-
-  // Build the initial world into batches (2 draw calls total)
-  buildWorld(gl);
-
-  // Allocate sky and ground after gl + VBO are ready
-  g_skyCube            = new Cube();
-  g_skyCube.color      = [0.53, 0.81, 0.98, 1.0];
-  g_skyCube.textureNum = -1;
-  g_skyCube.matrix.setTranslate(16, 16, 16);
-  g_skyCube.matrix.scale(400, 400, 400);
+  // The atlas is the only texture — always on unit 0
+  gl.uniform1i(g_locs.u_Atlas, 0);
 
+  // Allocate the ground after gl + VBO are ready
   g_groundCube            = new Cube();
   g_groundCube.textureNum = 2;
-  g_groundCube.matrix.setTranslate(16, -0.5, 16);
-  g_groundCube.matrix.scale(32, 1, 32);
 
-  // Sheep, enemies, gun
+  initSky(gl);
   initSheepShader(gl);
-  initEnemies();
-  initGun();
-  initSounds();
+  initShadows(gl);
+  g_sceneLevel = 0;   // refit the ground, repaint the atlas
+  return true;
+}
 
-  // Generate procedural textures and upload to GPU.
-  // The render loop starts automatically once all 3 are ready.
-  _loadTextures();
+// ── Size the ground to the loaded world ───────────────────────
+// Call after g_world is replaced by a map of a different size.
+function fitSceneToWorld() {
+  var w = g_world.width, d = g_world.depth;
 
-  // Keyboard + mouse input
-  _setupInput();
+  g_groundCube.matrix.setTranslate(w / 2, -0.5, d / 2);
+  g_groundCube.matrix.scale(w, 1, d);
+
+  // The lamp hangs above the middle of the map
+  g_light.pointPos = [w / 2, 20, d / 2];
 }
 
 // ── Cache shader locations ────────────────────────────────────
@@ -159,32 +271,33 @@ function _cacheLocations() {
   var p = gl.program;
   g_locs.a_Position         = gl.getAttribLocation (p, 'a_Position');
   g_locs.a_UV               = gl.getAttribLocation (p, 'a_UV');
+  g_locs.a_UVRect           = gl.getAttribLocation (p, 'a_UVRect');
+  g_locs.a_Tint             = gl.getAttribLocation (p, 'a_Tint');
+  g_locs.a_Normal           = gl.getAttribLocation (p, 'a_Normal');
   g_locs.u_ModelMatrix      = gl.getUniformLocation(p, 'u_ModelMatrix');
   g_locs.u_ViewMatrix       = gl.getUniformLocation(p, 'u_ViewMatrix');
   g_locs.u_ProjectionMatrix = gl.getUniformLocation(p, 'u_ProjectionMatrix');
   g_locs.u_baseColor        = gl.getUniformLocation(p, 'u_baseColor');
   g_locs.u_texColorWeight   = gl.getUniformLocation(p, 'u_texColorWeight');
-  g_locs.u_whichTexture     = gl.getUniformLocation(p, 'u_whichTexture');
-  g_locs.u_Sampler0         = gl.getUniformLocation(p, 'u_Sampler0');
-  g_locs.u_Sampler1         = gl.getUniformLocation(p, 'u_Sampler1');
-  g_locs.u_Sampler2         = gl.getUniformLocation(p, 'u_Sampler2');
+  g_locs.u_lightWeight      = gl.getUniformLocation(p, 'u_lightWeight');
+  g_locs.u_Atlas            = gl.getUniformLocation(p, 'u_Atlas');
+  cacheLightLocations(gl, p, g_locs);
+  cacheFogLocations(gl, p, g_locs);
+  cacheShadowLocations(gl, p, g_locs);
 }
 
 // ── Procedural textures ───────────────────────────────────────
-// Drawn onto hidden <canvas> elements so no image files are needed.
-// To use real images instead, replace _loadTextures() with Image() loads.
-// (Images must be square, power-of-2 size: 64, 128, 256, 512...)
-
-function _makeCanvas(size, drawFn) {
-  var c = document.createElement('canvas');
-  c.width = c.height = size;
-  drawFn(c.getContext('2d'), size);
-  return c;
-}
-
-function _loadTextures() {
-  // ── Texture 0: Stone with mortar lines ──
-  var stone = _makeCanvas(128, function(ctx, s) {
+// Drawn straight into tiles of one atlas <canvas>, so no image files
+// are needed and every material shares a single texture.
+// A level's "textures" list names a painter below for each tile;
+// any other string is loaded as an image URL and scaled into it.
+// Painters get their own random stream per tile, seeded from the
+// level (levelSeed in level.js), so a level always paints the same
+// textures, whatever the gameplay stream has been reseeded to.
+
+var TEXTURE_PAINTERS = {
+  // ── Stone with mortar lines ──
+  stone: function(ctx, s, rnd) {
     ctx.fillStyle = '#888888';
     ctx.fillRect(0, 0, s, s);
     var bw = s/4, bh = s/3;
@@ -195,14 +308,14 @@ function _loadTextures() {
       for (var c2 = -1; c2*bw < s; c2++) ctx.strokeRect(c2*bw+xo+1, r*bh+1, bw-2, bh-2);
     }
     for (var i = 0; i < 500; i++) {
-      var g = Math.floor(Math.random()*60+100);
+      var g = Math.floor(rnd()*60+100);
       ctx.fillStyle = 'rgb('+g+','+g+','+g+')';
-      ctx.fillRect(Math.random()*s, Math.random()*s, 2, 2);
+      ctx.fillRect(rnd()*s, rnd()*s, 2, 2);
     }
-  });
+  },
 
-  // ── Texture 1: Red brick ──
-  var brick = _makeCanvas(128, function(ctx, s) {
+  // ── Red brick ──
+  brick: function(ctx, s) {
     ctx.fillStyle = '#c0392b';
     ctx.fillRect(0, 0, s, s);
     var bw = s/4, bh = s/3;
@@ -217,45 +330,180 @@ function _loadTextures() {
       var xo = (r%2)*(bw/2);
       for (var c2 = -1; c2*bw < s; c2++) ctx.strokeRect(c2*bw+xo+1, r*bh+1, bw-2, bh-2);
     }
-  });
+  },
 
-  // ── Texture 2: Grass ground ──
-  var grass = _makeCanvas(128, function(ctx, s) {
+  // ── Grass ground ──
+  grass: function(ctx, s, rnd) {
     ctx.fillStyle = '#4a7c37';
     ctx.fillRect(0, 0, s, s);
     for (var i = 0; i < 800; i++) {
-      var g = Math.floor(Math.random()*40+55);
+      var g = Math.floor(rnd()*40+55);
       ctx.fillStyle = 'rgb('+(g-10)+','+(g+50)+','+(g-20)+')';
-      ctx.fillRect(Math.random()*s, Math.random()*s, 3, 3);
+      ctx.fillRect(rnd()*s, rnd()*s, 3, 3);
     }
-  });
+  },
 
-  _uploadTex(stone, 0);
-  _uploadTex(brick, 1);
-  _uploadTex(grass, 2);
-}
+  // ── Wood planks ──
+  wood: function(ctx, s, rnd) {
+    ctx.fillStyle = '#9c6b3c';
+    ctx.fillRect(0, 0, s, s);
+    var ph = s/4;
+    for (var i = 0; i < 300; i++) {
+      var g = Math.floor(rnd()*30);
+      ctx.fillStyle = 'rgb('+(130+g)+','+(88+g)+','+(48+g/2)+')';
+      ctx.fillRect(rnd()*s, rnd()*s, 6 + rnd()*14, 1);
+    }
+    ctx.strokeStyle = '#5e3d1f';
+    ctx.lineWidth = 2;
+    for (var r = 0; r < 4; r++) {
+      ctx.strokeRect(1, r*ph+1, s-2, ph-2);
+      var seam = ((r%2) ? 0.3 : 0.7) * s;
+      ctx.beginPath(); ctx.moveTo(seam, r*ph); ctx.lineTo(seam, (r+1)*ph); ctx.stroke();
+    }
+  },
 
-function _uploadTex(source, unit) {
-  var tex = gl.createTexture();
-  gl.activeTexture(gl.TEXTURE0 + unit);
-  gl.bindTexture(gl.TEXTURE_2D, tex);
-  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
-  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR_MIPMAP_LINEAR);
-  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
-  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.REPEAT);
-  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.REPEAT);
-  gl.generateMipmap(gl.TEXTURE_2D);
+  // ── Glass pane with a frame and highlights ──
+  glass: function(ctx, s) {
+    ctx.fillStyle = '#bfe3f0';
+    ctx.fillRect(0, 0, s, s);
+    ctx.strokeStyle = 'rgba(255,255,255,0.8)';
+    ctx.lineWidth = 4;
+    ctx.beginPath();
+    ctx.moveTo(s*0.2, s*0.55); ctx.lineTo(s*0.55, s*0.2);
+    ctx.moveTo(s*0.35, s*0.75); ctx.lineTo(s*0.75, s*0.35);
+    ctx.stroke();
+    ctx.strokeStyle = '#7fa9ba';
+    ctx.lineWidth = 6;
+    ctx.strokeRect(3, 3, s-6, s-6);
+  },
+
+  // ── Sand ──
+  sand: function(ctx, s, rnd) {
+    ctx.fillStyle = '#d8c48a';
+    ctx.fillRect(0, 0, s, s);
+    for (var i = 0; i < 900; i++) {
+      var g = Math.floor(rnd()*50-25);
+      ctx.fillStyle = 'rgb('+(216+g)+','+(196+g)+','+(138+g)+')';
+      ctx.fillRect(rnd()*s, rnd()*s, 2, 2);
+    }
+  },
 
-  g_texLoaded++;
-  if (g_texLoaded === NUM_TEXTURES) {
-    // All textures uploaded — safe to start rendering
-    requestAnimationFrame(tick);
+  // ── Grass block side: dirt with a ragged grass band on top ──
+  grass_side: function(ctx, s, rnd) {
+    TEXTURE_PAINTERS.dirt(ctx, s, rnd);
+    ctx.fillStyle = '#4a7c37';
+    ctx.fillRect(0, 0, s, s*0.18);
+    for (var x = 0; x < s; x += 4) {
+      ctx.fillRect(x, s*0.18, 4, rnd()*s*0.12);
+    }
+  },
+
+  // ── Dirt ──
+  dirt: function(ctx, s, rnd) {
+    ctx.fillStyle = '#7a5230';
+    ctx.fillRect(0, 0, s, s);
+    for (var i = 0; i < 600; i++) {
+      var g = Math.floor(rnd()*40-20);
+      ctx.fillStyle = 'rgb('+(122+g)+','+(82+g)+','+(48+g)+')';
+      ctx.fillRect(rnd()*s, rnd()*s, 3, 3);
+    }
+  },
+
+  // ── Log end: growth rings ──
+  log_top: function(ctx, s) {
+    ctx.fillStyle = '#c49a63';
+    ctx.fillRect(0, 0, s, s);
+    ctx.strokeStyle = '#8a6238';
+    ctx.lineWidth = 3;
+    for (var r = s*0.08; r < s*0.48; r += s*0.09) {
+      ctx.beginPath(); ctx.arc(s/2, s/2, r, 0, Math.PI*2); ctx.stroke();
+    }
+    ctx.strokeStyle = '#4f3520';
+    ctx.lineWidth = 6;
+    ctx.strokeRect(3, 3, s-6, s-6);
+  },
+
+  // ── Bark ──
+  bark: function(ctx, s, rnd) {
+    ctx.fillStyle = '#5b4026';
+    ctx.fillRect(0, 0, s, s);
+    for (var i = 0; i < 60; i++) {
+      var g = Math.floor(rnd()*30);
+      ctx.fillStyle = 'rgb('+(60+g)+','+(42+g)+','+(26+g/2)+')';
+      ctx.fillRect(rnd()*s, 0, 2 + rnd()*4, s);
+    }
+  }
+};
+
+// ── Atlas ─────────────────────────────────────────────────────
+// Layout (ATLAS_* and atlasRect) lives in cube.js. Sampled without
+// mipmaps: fract() wrapping makes UV derivatives jump at every tile
+// repeat, which would pick the smallest mip and draw seams.
+var g_atlasCanvas  = null;
+var g_atlasTexture = null;
+
+// (Re)paint every atlas tile and upload. Missing entries fall back to
+// the default. Image tiles re-upload the atlas when they arrive.
+function loadTextures(sources) {
+  sources = sources || [];
+  if (!g_atlasCanvas) {
+    g_atlasCanvas = document.createElement('canvas');
+    g_atlasCanvas.width = g_atlasCanvas.height = ATLAS_SIZE;
   }
+  var ctx = g_atlasCanvas.getContext('2d');
+
+  for (var tile = 0; tile < DEFAULT_TEXTURES.length; tile++) {
+    var src = sources[tile] || DEFAULT_TEXTURES[tile];
+    g_textureSources[tile] = src;
+    if (TEXTURE_PAINTERS[src]) _paintTile(ctx, tile, TEXTURE_PAINTERS[src]);
+    else                       _loadImageTile(ctx, tile, src);
+  }
+  _uploadAtlas();
+}
+
+// Run a painter clipped to one tile, with its origin at the tile corner
+function _paintTile(ctx, tile, drawFn) {
+  var x = (tile % ATLAS_COLS) * ATLAS_TILE, y = Math.floor(tile / ATLAS_COLS) * ATLAS_TILE;
+  ctx.save();
+  ctx.beginPath();
+  ctx.rect(x, y, ATLAS_TILE, ATLAS_TILE);
+  ctx.clip();
+  ctx.translate(x, y);
+  drawFn(ctx, ATLAS_TILE, makeRandom(levelSeed('texture:' + tile)));
+  ctx.restore();
+}
+
+function _loadImageTile(ctx, tile, url) {
+  // Default painter until (or unless) the image arrives
+  _paintTile(ctx, tile, TEXTURE_PAINTERS[DEFAULT_TEXTURES[tile]]);
+  var serial = g_levelSerial;
+  var img = new Image();
+  img.onload  = function() {
+    if (serial !== g_levelSerial) return;   // a newer level owns the atlas now
+    _paintTile(ctx, tile, function(c, s) { c.drawImage(img, 0, 0, s, s); });
+    _uploadAtlas();
+  };
+  img.onerror = function() { console.error('Texture image failed to load: ' + url); };
+  img.src = url;
+}
+
+function _uploadAtlas() {
+  if (!g_atlasTexture) g_atlasTexture = gl.createTexture();
+  gl.activeTexture(gl.TEXTURE0);
+  gl.bindTexture(gl.TEXTURE_2D, g_atlasTexture);
+  gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, g_atlasCanvas);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
 }
 
 // ── Input setup ───────────────────────────────────────────────
 function _setupInput() {
   document.addEventListener('keydown', function(e) {
+    var tag = e.target.tagName;
+    if (tag === 'INPUT' || tag === 'SELECT') return;   // typing a save name etc.
     g_keys[e.key.toLowerCase()] = true;
     e.preventDefault();  // stop space/arrows scrolling the page
   });
@@ -277,65 +525,76 @@ function _setupInput() {
       : 'Click canvas to lock mouse';
   });
 
-  // Shoot on left-click only when pointer is locked
+  // Shoot on left-click only when pointer is locked (fired in the
+  // next sim step, like every other input)
   document.addEventListener('mousedown', function(e) {
-    if (e.button === 0 && document.pointerLockElement === canvas) {
-      shoot(camera);
-      playSound('shoot');
-    }
+    if (e.button === 0 && document.pointerLockElement === canvas) g_shotClicks++;
   });
 
-  // Mouse look — apply directly to camera angles each event.
-  // yaw/pitch are plain numbers; no GL calls happen here.
-  // updateView() runs once per rAF frame and reads the final angles.
+  // Scroll wheel cycles the block type T places
+  canvas.addEventListener('wheel', function(e) {
+    e.preventDefault();
+    g_wheelSteps += (e.deltaY > 0 ? 1 : -1);
+  }, { passive: false });
+
+  // Mouse look — only summed here; the next sim step hands the total
+  // to camera.mouseRotate(), so a replay can turn exactly the same way
   document.addEventListener('mousemove', function(e) {
     if (document.pointerLockElement !== canvas) return;
-    camera.mouseRotate(e.movementX, e.movementY);
+    g_mouseDX += e.movementX;
+    g_mouseDY += e.movementY;
   });
 }
 
-// ── Per-frame key handling ────────────────────────────────────
-function _handleKeys() {
-  if (g_keys['w']) camera.moveForward();
-  if (g_keys['s']) camera.moveBackwards();
-  if (g_keys['a']) camera.moveLeft();
-  if (g_keys['d']) camera.moveRight();
-  if (g_keys['q']) camera.panLeft();
-  if (g_keys['e']) camera.panRight();
-
-  // Space = jump
-  if (g_keys[' ']) {
-    camera.jump();
-    playSound('jump');
-    g_keys[' '] = false;
-  }
+// ── Level file buttons ────────────────────────────────────────
+function _setupLevelButtons() {
+  var saveBtn   = document.getElementById('level-save');
+  var openInput = document.getElementById('level-open');
 
-  // F = shoot
-  if (g_keys['f']) {
-    shoot(camera);
-    playSound('shoot');
-    g_keys['f'] = false;
-  }
+  if (saveBtn) saveBtn.addEventListener('click', function() {
+    downloadLevel();
+    saveBtn.blur();   // keep Space/keys from re-clicking it
+  });
 
-  // T = add block in front
-  if (g_keys['t']) {
-    var fp = camera.getFrontMapPosition();
-    if (addBlock(fp.col, fp.row)) {
-      rebuildBatches(gl);
-      playSound('place');
-    }
-    g_keys['t'] = false;
-  }
+  if (openInput) openInput.addEventListener('change', function() {
+    var file = openInput.files[0];
+    if (!file) return;
+    file.text().then(function(text) {
+      loadLevel(text);
+    }).catch(function(err) {
+      console.error('Could not read level file: ' + err.message);
+    });
+    openInput.value = '';   // allow re-opening the same file
+    openInput.blur();
+  });
 
-  // Y = remove block in front
-  if (g_keys['y']) {
-    var fp = camera.getFrontMapPosition();
-    if (removeBlock(fp.col, fp.row)) {
-      rebuildBatches(gl);
-      playSound('break');
+  // Generator menu — an empty seed rolls a new one and shows it, so
+  // the map can be shared; the URL is updated to match for reloads
+  var genType = document.getElementById('gen-type');
+  var genSeed = document.getElementById('gen-seed');
+  var genBtn  = document.getElementById('gen-go');
+
+  if (genBtn) genBtn.addEventListener('click', function() {
+    if (!genSeed.value) genSeed.value = String(Math.floor(Math.random() * 1e9));
+    var level = generateLevel(genType.value, genSeed.value);
+    if (level && loadLevel(level)) {
+      history.replaceState(null, '', '?gen=' + encodeURIComponent(genType.value) +
+                                     '&genseed=' + encodeURIComponent(genSeed.value));
     }
-    g_keys['y'] = false;
-  }
+    genBtn.blur();
+  });
+}
+
+// ── Shadow quality menu ───────────────────────────────────────
+function _setupShadowMenu() {
+  var menu = document.getElementById('shadow-quality');
+  if (!menu) return;
+  menu.value = g_shadowQuality;
+  menu.addEventListener('change', function() {
+    setShadowQuality(gl, menu.value);
+    menu.value = g_shadowSize ? g_shadowQuality : 'off';   // 'off' if it failed
+    menu.blur();
+  });
 }
 
 // ── Tick ──────────────────────────────────────────────────────
@@ -353,71 +612,128 @@ function tick(timestamp) {
     if (fpsEl) fpsEl.textContent = g_fps;
   }
 
-  var _eyeBefore = [camera.eye[0], camera.eye[2]];
-  _handleKeys();
-  var _moving = (camera.eye[0] !== _eyeBefore[0] || camera.eye[2] !== _eyeBefore[1]);
-  tickWalkSound(_moving && camera.grounded);
-  camera.applyGravity();   // physics tick
-  updateBullets();
-  updateEnemies(camera);
-  setBullets(checkBulletHits(getBullets()));
-  renderScene();
+  // Accumulate real time and run as many fixed sim steps as it covers
+  if (g_prevFrameTime === 0) g_prevFrameTime = timestamp;
+  var frameTime = (timestamp - g_prevFrameTime) / 1000;
+  g_prevFrameTime = timestamp;
+  if (frameTime > MAX_FRAME_TIME) frameTime = MAX_FRAME_TIME;
+
+  // Nothing to simulate or draw until the first level has loaded
+  // (?level= is fetched asynchronously)
+  if (g_levelSerial === 0) {
+    requestAnimationFrame(tick);
+    return;
+  }
+
+  g_simAccum += frameTime * replayTimeScale();   // paused / sped-up replays
+  while (g_simAccum >= SIM_DT) {
+    simStep(SIM_DT, _takeLiveInput());
+    g_simAccum -= SIM_DT;
+  }
+
+  // Leftover fraction of a step — render between the last two states
+  renderScene(g_simAccum / SIM_DT);
   _updateHUD();
 
   requestAnimationFrame(tick);
 }
 
+// Input since the last step as [keys, mouseDX, mouseDY, shots, wheel]
+function _takeLiveInput() {
+  var keys = [];
+  for (var k in g_keys) if (g_keys[k]) keys.push(k);
+  var frame = [keys, g_mouseDX, g_mouseDY, g_shotClicks, g_wheelSteps];
+  g_mouseDX = g_mouseDY = g_shotClicks = g_wheelSteps = 0;
+  return frame;
+}
+
 // ── HUD update ────────────────────────────────────────────────
 function _updateHUD() {
-  var e  = camera.eye;
-  var fp = camera.getFrontMapPosition();
+  var e   = camera.eye;
+  var hit = g_frameTarget;   // picked by renderScene()
 
   var posEl    = document.getElementById('pos');
-  var frontEl  = document.getElementById('front');
-  var heightEl = document.getElementById('height');
+  var targetEl = document.getElementById('target');
   var healthEl = document.getElementById('health');
   var scoreEl  = document.getElementById('score');
+  var clockEl  = document.getElementById('clock');
+  var blockEl  = document.getElementById('block');
 
   if (posEl)    posEl.textContent    = e[0].toFixed(1) + ', ' + e[1].toFixed(1) + ', ' + e[2].toFixed(1);
-  if (frontEl)  frontEl.textContent  = fp.col + ', ' + fp.row;
-  if (heightEl) heightEl.textContent = getBlockHeight(fp.col, fp.row);
+  if (targetEl) targetEl.textContent = !hit ? '-' : (hit.y < 0) ? 'ground' :
+    hit.x + ', ' + hit.y + ', ' + hit.z + ' ' + BLOCKS[getBlock(hit.x, hit.y, hit.z)].name;
   if (healthEl) healthEl.textContent = Math.max(0, Math.ceil(g_playerHealth));
   if (scoreEl)  scoreEl.textContent  = g_score;
+  if (clockEl)  clockEl.textContent  = clockString() + (daylight() < 0.5 ? ' night' : '');
+  if (blockEl)  blockEl.textContent  = BLOCKS[g_activeBlock].name +
+                                       (g_buildMode ? ' (build mode)' : '');
+  updateReplayUI();
 }
 
 // ── Render scene ──────────────────────────────────────────────
 // All drawing happens here. Called once per frame from tick().
-function renderScene() {
+// alpha (0..1) is how far we are between the last two sim steps.
+function renderScene(alpha) {
   // Always restore world shader at start of frame — sheep pass may have left
   // gl.program dirty if it ran last frame
   gl.useProgram(gl.program);
 
-  gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+  // Catch up with the simulation: a newly loaded level needs the
+  // ground refitted and its textures painted; edits leave dirty
+  // chunks to re-mesh (a no-op when nothing changed)
+  if (g_sceneLevel !== g_levelSerial) {
+    g_sceneLevel = g_levelSerial;
+    fitSceneToWorld();
+    loadTextures(g_textureSources);
+  }
+  rebuildBatches(gl);
 
   // Recompute view matrix ONCE per frame here, not in input handlers
-  camera.updateView();
+  camera.updateView(alpha);
+  applyDaylight();   // sun, moon, ambient and sky for the current time
+
+  // ─── Shadow map (offscreen, from the sun) ───
+  renderShadowMap(gl, alpha);
+
+  var fog = fogColor();
+  gl.clearColor(fog[0], fog[1], fog[2], 1.0);
+  gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
 
+  // ─── Sky (own program, depth mask off) ───
+  drawSky(gl, camera);
+
+  gl.useProgram(gl.program);
   gl.uniformMatrix4fv(g_locs.u_ViewMatrix, false,
                       camera.viewMatrix.elements);
-
-  // ─── Sky box (pre-allocated, depth mask off) ───
-  gl.depthMask(false);
-  g_skyCube.render(gl, g_locs);
-  gl.depthMask(true);
+  uploadLight(gl, g_locs);
+  uploadFog(gl, g_locs);
+  uploadShadow(gl, g_locs);
 
   // ─── Ground (pre-allocated, 1 draw call) ───
   g_groundCube.render(gl, g_locs);
 
-  // ─── Walls (batched: 2 draw calls for all 700+ cubes) ───
-  if (g_batchStone) g_batchStone.draw(gl, g_locs);
-  if (g_batchBrick) g_batchBrick.draw(gl, g_locs);
+  // ─── Walls (one draw call per chunk) ───
+  drawWorld(gl, g_locs);
+
+  // ─── Outline of the block under the crosshair ───
+  g_frameTarget = pickTarget();
+  var hit = g_frameTarget;
+  if (hit) drawWireBox(gl, g_locs, hit.x, hit.y, hit.z);
+
+  // ─── Build mode selection ───
+  var sel = g_buildMode && selectionBox();
+  if (sel) {
+    drawWireBox(gl, g_locs, sel.x0, sel.y0, sel.z0,
+                [sel.x1 - sel.x0 + 1, sel.y1 - sel.y0 + 1, sel.z1 - sel.z0 + 1],
+                SELECTION_COLOR);
+  }
 
   // ─── Sheep, enemies, bullets ─────────────────────────────────
   // ONE useProgram + ONE view/proj upload for the entire pass.
   beginSheepPass(gl, camera);
-  drawSheep(gl);       // no program switch, no matrix alloc
-  drawEnemies(gl);     // no program switch, no matrix alloc
-  drawBullets(gl);     // no program switch, no matrix alloc
+  drawSheep(gl, alpha);    // no program switch, no matrix alloc
+  if (!g_buildMode) drawEnemies(gl, alpha);  // no program switch, no matrix alloc
+  drawBullets(gl, alpha);  // no program switch, no matrix alloc
 
   // Restore world shader for next frame
   gl.useProgram(gl.program);
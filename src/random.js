@@ -0,0 +1,67 @@
+// ============================================================
+//  src/random.js  —  Seedable random numbers
+//
+//  Math.random() only ever picks seeds (the session seed when no
+//  ?seed= is given, a map seed in the generator menu); everything
+//  else draws from here, so one seed reproduces a whole session
+//  (enemy spawns and the rest of the gameplay) exactly — bug
+//  reports just need the seed, which is logged at startup. Set it
+//  with ?seed=1234. Textures and generated maps have seeds of their
+//  own (levelSeed in src/level.js, ?genseed= in src/generate.js).
+//
+//    seedRandom(seed)  — restart the gameplay stream from a seed
+//    random()          — next gameplay number in [0, 1)
+//    randomInt(n)      — next gameplay integer in [0, n)
+//    makeRandom(seed)  — an independent generator function, for
+//                        content that must not depend on how much
+//                        gameplay randomness was used before it
+//    deriveSeed(name)  — seed for such a generator, tied to the
+//                        session seed
+//    hashSeed(value)   — number or any string → 32-bit seed
+// ============================================================
+
+'use strict';
+
+var g_randomSeed = 0;               // session seed (set by seedRandom)
+var _gameplayRandom = makeRandom(0);
+
+function seedRandom(seed) {
+  g_randomSeed    = hashSeed(seed);
+  _gameplayRandom = makeRandom(g_randomSeed);
+  return g_randomSeed;
+}
+
+function random() {
+  return _gameplayRandom();
+}
+
+function randomInt(n) {
+  return Math.floor(_gameplayRandom() * n);
+}
+
+// mulberry32 — small, fast, and the same sequence on every browser
+function makeRandom(seed) {
+  var a = seed >>> 0;
+  return function() {
+    a = (a + 0x6D2B79F5) >>> 0;
+    var t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function deriveSeed(name) {
+  return hashSeed(g_randomSeed + ':' + name);
+}
+
+// Integer seeds are used as-is; any other string is hashed (FNV-1a)
+function hashSeed(value) {
+  var str = String(value === undefined || value === null ? '' : value);
+  if (/^\d+$/.test(str)) return parseInt(str, 10) >>> 0;
+  var h = 0x811C9DC5;
+  for (var i = 0; i < str.length; i++) {
+    h = Math.imul(h ^ str.charCodeAt(i), 0x01000193);
+  }
+  return h >>> 0;
+}
@@ -0,0 +1,292 @@
+// ============================================================
+//  src/replay.js  —  Input recording and deterministic replay
+//
+//  The simulation reads the player only through one input frame
+//  per sim step (see src/sim.js):
+//
+//    [keys, mouseDX, mouseDY, shots, wheel]
+//
+//  keys    — names held in g_keys at the start of the step
+//  mouseDX/DY — mouse movement summed since the last step, fed to
+//            Camera.mouseRotate
+//  shots   — left clicks since the last step
+//  wheel   — block-type steps from the scroll wheel
+//
+//  Everything random comes from the seeded stream in random.js, so
+//  the same frames from the same start state and seed reproduce a
+//  run exactly. A replay file is:
+//
+//    { version, seed, start, frames: [frame, ...] }
+//
+//  where start is captureGameState() (src/saves.js) plus the active
+//  block and build mode. Recording restores that start state first,
+//  so the live run and every playback begin identically.
+//
+//    startRecording() / stopRecording()
+//    startPlayback(replay) — restore the start, play the frames
+//    stopPlayback()        — hand control back to the player
+//    seekReplay(tick)      — re-simulate from the start to any tick
+//    replayFrame(live)     — sim.js: record or substitute a frame
+//    replayTimeScale()     — main.js: 0 while paused, else speed
+//    downloadReplay() / fetchReplay(url) / initReplayUI()
+// ============================================================
+
+'use strict';
+
+var REPLAY_VERSION = 1;
+
+var g_replayState  = 'off';   // 'off' | 'record' | 'play'
+var g_replay       = null;    // the replay being recorded or played
+var g_replayTick   = 0;       // next frame to play
+var g_replayPaused = false;
+var g_replaySpeed  = 1;
+var _replayStartVoxels = null;   // the world at tick 0, for rewinding
+
+// ── Recording ─────────────────────────────────────────────────
+
+function startRecording() {
+  if (g_replayState === 'play') stopPlayback();
+  g_replay = {
+    version: REPLAY_VERSION,
+    seed:    randomInt(4294967296),
+    start:   captureGameState(),
+    frames:  []
+  };
+  g_replay.start.activeBlock = g_activeBlock;
+  g_replay.start.buildMode   = g_buildMode;
+  _restoreReplayStart();
+  g_replayState = 'record';
+}
+
+function stopRecording() {
+  if (g_replayState === 'record') g_replayState = 'off';
+  return g_replay;
+}
+
+// ── Playback ──────────────────────────────────────────────────
+
+// Returns false (and logs why) if the replay is not usable. It is
+// checked in full first: a bad frame would otherwise throw in the
+// middle of a sim step and stop the main loop.
+function startPlayback(replay) {
+  if (!replay || replay.version !== REPLAY_VERSION) {
+    console.error('Unsupported replay: ' + (replay && replay.version));
+    return false;
+  }
+  var problem = _replayProblem(replay);
+  if (problem) {
+    console.error('Invalid replay: ' + problem);
+    return false;
+  }
+  g_replay       = replay;
+  g_replayState  = 'play';
+  g_replayPaused = false;
+  return _restoreReplayStart();
+}
+
+function stopPlayback() {
+  if (g_replayState === 'play') g_replayState = 'off';
+}
+
+// Jump to a tick: rewind to the start if going backwards, then
+// fast-forward (muted). Rewinding re-runs the start from the seed,
+// so seeking never drifts.
+function seekReplay(tick) {
+  if (g_replayState !== 'play') return;
+  tick = Math.max(0, Math.min(tick, g_replay.frames.length));
+  if (tick < g_replayTick) _rewindReplay();
+  g_soundMuted = true;
+  while (g_replayTick < tick) simStep(SIM_DT, NO_INPUT);
+  g_soundMuted = false;
+  camera.savePrevious();   // no interpolation across the jump
+}
+
+// The same start for recording and for every playback: seed the
+// random stream, then restore (loading the level draws from it)
+function _restoreReplayStart() {
+  seedRandom(g_replay.seed);
+  if (!restoreGameState(g_replay.start)) {
+    g_replayState = 'off';
+    return false;
+  }
+  _replayStartVoxels = g_world.voxels.slice();
+  _resetReplayPlayer();
+  return true;
+}
+
+// Back to the start within the loaded level: the same random draws
+// as _restoreReplayStart(), but the renderer keeps its atlas and
+// only the chunks edited since are re-meshed
+function _rewindReplay() {
+  seedRandom(g_replay.seed);
+  rewindGameState(g_replay.start, _replayStartVoxels);
+  _resetReplayPlayer();
+}
+
+function _resetReplayPlayer() {
+  var start = g_replay.start;
+  g_activeBlock = start.activeBlock || BLOCK_STONE;
+  g_buildMode   = !!start.buildMode;
+  camera.setFlying(g_buildMode);
+  g_selA = g_selB = g_clipboard = null;
+  g_keys       = {};
+  g_simTime    = 0;
+  g_replayTick = 0;
+}
+
+function _replayProblem(replay) {
+  if (!_isNumber(replay.seed)) return '"seed" must be a number';
+  if (!Array.isArray(replay.frames)) return '"frames" must be a list';
+  for (var i = 0; i < replay.frames.length; i++) {
+    if (!_isInputFrame(replay.frames[i])) {
+      return 'frame ' + i + ' is not [keys, mouseDX, mouseDY, shots, wheel]';
+    }
+  }
+  var start = gameStateProblem(replay.start);
+  return start ? '"start": ' + start : null;
+}
+
+// Names, two numbers, a click count and whole wheel steps (see above)
+function _isInputFrame(f) {
+  return Array.isArray(f) && f.length === 5 &&
+         Array.isArray(f[0]) && f[0].every(function(k) { return typeof k === 'string'; }) &&
+         _isNumber(f[1]) && _isNumber(f[2]) && _isCount(f[3]) && _isNumber(f[4]) && f[4] % 1 === 0;
+}
+
+// ── Hooks for the main loop ───────────────────────────────────
+
+// Called once per sim step with the frame built from live input.
+// Recording stores it; playback swaps in the recorded frame and
+// pauses on the last one.
+function replayFrame(live) {
+  if (g_replayState === 'record') {
+    g_replay.frames.push(live);
+    return live;
+  }
+  if (g_replayState === 'play') {
+    var frame = g_replay.frames[g_replayTick] || NO_INPUT;
+    if (g_replayTick < g_replay.frames.length) g_replayTick++;
+    if (g_replayTick >= g_replay.frames.length) g_replayPaused = true;
+    return frame;
+  }
+  return live;
+}
+
+// Multiplier for real time fed to the simulation
+function replayTimeScale() {
+  if (g_replayState !== 'play') return 1;
+  return g_replayPaused ? 0 : g_replaySpeed;
+}
+
+// ── Files ─────────────────────────────────────────────────────
+
+function downloadReplay() {
+  if (!g_replay) return;
+  var blob = new Blob([JSON.stringify(g_replay)], { type: 'application/json' });
+  var a = document.createElement('a');
+  a.href     = URL.createObjectURL(blob);
+  a.download = 'replay-' + g_replay.seed + '.json';
+  a.click();
+  URL.revokeObjectURL(a.href);
+}
+
+function fetchReplay(url) {
+  return fetch(url).then(function(res) {
+    if (!res.ok) throw new Error('HTTP ' + res.status);
+    return res.json();
+  }).then(function(replay) {
+    if (!startPlayback(replay)) throw new Error('invalid replay file');
+  });
+}
+
+// ── UI ────────────────────────────────────────────────────────
+// #replay-record toggles recording; #replay-play plays the last
+// recording or pauses/resumes playback; #replay-stop hands control
+// back; #replay-speed and #replay-seek drive the viewer.
+
+function initReplayUI() {
+  var recordBtn = document.getElementById('replay-record');
+  var playBtn   = document.getElementById('replay-play');
+  var stopBtn   = document.getElementById('replay-stop');
+  var saveBtn   = document.getElementById('replay-save');
+  var openInput = document.getElementById('replay-open');
+  var speedSel  = document.getElementById('replay-speed');
+  var seekBar   = document.getElementById('replay-seek');
+  if (!recordBtn) return;
+
+  recordBtn.addEventListener('click', function() {
+    if (g_replayState === 'record') stopRecording();
+    else                            startRecording();
+    recordBtn.blur();
+  });
+
+  playBtn.addEventListener('click', function() {
+    if (g_replayState === 'play') {
+      if (g_replayTick >= g_replay.frames.length) seekReplay(0);
+      g_replayPaused = !g_replayPaused;
+    } else if (g_replay) {
+      stopRecording();
+      startPlayback(g_replay);
+    }
+    playBtn.blur();
+  });
+
+  stopBtn.addEventListener('click', function() {
+    stopRecording();
+    stopPlayback();
+    stopBtn.blur();
+  });
+
+  saveBtn.addEventListener('click', function() {
+    downloadReplay();
+    saveBtn.blur();
+  });
+
+  openInput.addEventListener('change', function() {
+    var file = openInput.files[0];
+    if (!file) return;
+    file.text().then(function(text) {
+      startPlayback(JSON.parse(text));
+    }).catch(function(err) {
+      console.error('Could not read replay file: ' + err.message);
+    });
+    openInput.value = '';
+    openInput.blur();
+  });
+
+  speedSel.addEventListener('change', function() {
+    g_replaySpeed = parseFloat(speedSel.value) || 1;
+    speedSel.blur();
+  });
+
+  // 'change' fires on release — seeking re-simulates, so not on every drag step
+  seekBar.addEventListener('change', function() {
+    seekReplay(parseInt(seekBar.value, 10));
+    seekBar.blur();
+  });
+}
+
+// Called with the HUD every frame
+function updateReplayUI() {
+  var status = document.getElementById('replay-status');
+  var seek   = document.getElementById('replay-seek');
+  var play   = document.getElementById('replay-play');
+  var record = document.getElementById('replay-record');
+  if (!status) return;
+
+  var frames = g_replay ? g_replay.frames.length : 0;
+  if (g_replayState === 'record') {
+    status.textContent = '● REC ' + (frames * SIM_DT).toFixed(1) + 's';
+  } else if (g_replayState === 'play') {
+    status.textContent = (g_replayPaused ? '❚❚ ' : '▶ ') +
+      (g_replayTick * SIM_DT).toFixed(1) + ' / ' + (frames * SIM_DT).toFixed(1) + 's';
+  } else {
+    status.textContent = g_replay ? 'replay ready' : '';
+  }
+
+  record.textContent = (g_replayState === 'record') ? 'Stop recording' : 'Record';
+  play.textContent   = (g_replayState === 'play' && !g_replayPaused) ? 'Pause' : 'Play';
+  seek.disabled = (g_replayState !== 'play');
+  seek.max      = frames;
+  if (document.activeElement !== seek) seek.value = g_replayTick;
+}
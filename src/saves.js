@@ -0,0 +1,241 @@
+// ============================================================
+//  src/saves.js
+//
+//  Save / load the whole game state into named localStorage
+//  slots, so edits made with T/Y survive a refresh.
+//
+//    saveGame(name)     — write the current state to a slot
+//    loadGame(name)     — restore a slot (migrating old formats)
+//    deleteSave(name)   — remove a slot
+//    listSaves()        — [{ name, savedAt }] newest first
+//    initSaveUI()       — wire up the save panel in index.html
+//
+//  A save is { version, savedAt, level, player, health, score,
+//  enemies, clock } where level is exportLevel() from src/level.js
+//  (which keeps the level's own start time; clock is the time now).
+//
+//  Versioning: bump SAVE_VERSION when the format changes and add
+//  SAVE_MIGRATIONS[oldVersion] = function(save) { ...; return save; }
+//  upgrading a save one version. loadGame() runs them in order.
+// ============================================================
+
+'use strict';
+
+var SAVE_VERSION = 2;
+var SAVE_PREFIX  = 'fpw.save.';   // localStorage key = prefix + slot name
+
+// SAVE_MIGRATIONS[n] upgrades a version-n save to version n+1
+var SAVE_MIGRATIONS = {
+  // 1 → 2: the time of day moved out of the level into "clock"
+  1: function(save) {
+    var c = (save.level && save.level.clock) || {};
+    save.clock = {
+      time:      _isNumber(c.time) ? c.time : g_clockDefaults.time,
+      dayLength: c.dayLength > 0   ? c.dayLength : g_clockDefaults.dayLength
+    };
+    return save;
+  }
+};
+
+function saveGame(name) {
+  var save = captureGameState();
+  save.version = SAVE_VERSION;
+  save.savedAt = new Date().toISOString();
+  try {
+    localStorage.setItem(SAVE_PREFIX + name, JSON.stringify(save));
+  } catch (err) {
+    console.error('Could not save "' + name + '": ' + err.message);
+    return false;
+  }
+  return true;
+}
+
+function loadGame(name) {
+  var save;
+  try {
+    save = JSON.parse(localStorage.getItem(SAVE_PREFIX + name));
+  } catch (err) {
+    console.error('Save "' + name + '" is corrupt: ' + err.message);
+    return false;
+  }
+  if (!save) return false;
+
+  save = _migrateSave(save);
+  if (!save) return false;
+  return restoreGameState(save);
+}
+
+// ── Game state ────────────────────────────────────────────────
+// The whole game as plain data: { level, player, health, score,
+// enemies, clock }. Saves store it; replays (src/replay.js) start
+// from it.
+
+function captureGameState() {
+  return {
+    level:   exportLevel(),
+    player:  {
+      x: camera.eye[0], feetY: camera.eye[1] - camera.eyeHeight, z: camera.eye[2],
+      yaw: camera.yaw, pitch: camera.pitch
+    },
+    health:  g_playerHealth,
+    score:   g_score,
+    enemies: g_enemies.map(function(e) {
+      return { x: e.x, z: e.z, health: e.health, bobTime: e.bobTime };
+    }),
+    clock:   { time: g_clock.time, dayLength: g_clock.dayLength }
+  };
+}
+
+// Returns false (and logs why) if the state is unusable; like
+// loadLevel(), everything is checked before the world is replaced
+function restoreGameState(state) {
+  var problem = gameStateProblem(state);
+  if (problem) {
+    console.error('Invalid game state: ' + problem);
+    return false;
+  }
+  // The level resets entities — restore the saved ones on top
+  if (!loadLevel(state.level)) return false;
+  _restoreEntities(state);
+  return true;
+}
+
+// What is wrong with a captureGameState() object, or null. The level
+// inside is loadLevel()'s to check.
+function gameStateProblem(state) {
+  if (!state || typeof state !== 'object') return 'not an object';
+  if (!_hasNumbers(state.player, ['x', 'feetY', 'z', 'yaw', 'pitch'])) {
+    return '"player" needs numbers x, feetY, z, yaw and pitch';
+  }
+  if (!_isNumber(state.health) || !_isNumber(state.score)) {
+    return '"health" and "score" must be numbers';
+  }
+  if (!Array.isArray(state.enemies)) return '"enemies" must be a list';
+  for (var i = 0; i < state.enemies.length; i++) {
+    if (!_hasNumbers(state.enemies[i], ['x', 'z', 'health', 'bobTime'])) {
+      return '"enemies" entry ' + i + ' needs numbers x, z, health and bobTime';
+    }
+  }
+  if (!_hasNumbers(state.clock, ['time', 'dayLength'])) {
+    return '"clock" needs numbers time and dayLength';
+  }
+  return null;
+}
+
+// restoreGameState() for a state captured in the level that is
+// loaded now, without reloading it: `voxels` (g_world.voxels when
+// the state was captured) are written back where they differ, so
+// only those chunks re-mesh, and g_levelSerial is left alone so
+// the renderer keeps its atlas and ground. Replays seek with this.
+function rewindGameState(state, voxels) {
+  restoreVoxels(voxels);
+  restartLevel(state.level);
+  _restoreEntities(state);
+}
+
+function _restoreEntities(state) {
+  var p = state.player;
+  camera.yaw   = p.yaw;
+  camera.pitch = p.pitch;
+  camera.teleport(p.x, p.feetY, p.z);
+
+  g_playerHealth = state.health;
+  g_score        = state.score;
+  g_enemies      = [];
+  for (var i = 0; i < state.enemies.length; i++) {
+    var e = state.enemies[i];
+    _pushEnemy(e.x, e.z);
+    g_enemies[i].health  = e.health;
+    g_enemies[i].bobTime = e.bobTime;
+  }
+  setClock(state.clock);
+}
+
+function deleteSave(name) {
+  localStorage.removeItem(SAVE_PREFIX + name);
+}
+
+function listSaves() {
+  var saves = [];
+  for (var i = 0; i < localStorage.length; i++) {
+    var key = localStorage.key(i);
+    if (key.indexOf(SAVE_PREFIX) !== 0) continue;
+    var savedAt = '';
+    try { savedAt = JSON.parse(localStorage.getItem(key)).savedAt || ''; } catch (err) {}
+    saves.push({ name: key.slice(SAVE_PREFIX.length), savedAt: savedAt });
+  }
+  saves.sort(function(a, b) { return a.savedAt < b.savedAt ? 1 : -1; });
+  return saves;
+}
+
+// Upgrade a save to SAVE_VERSION, or null if it cannot be
+function _migrateSave(save) {
+  var v = save.version || 0;
+  if (v > SAVE_VERSION) {
+    console.error('Save is from a newer version (' + v + ')');
+    return null;
+  }
+  while (v < SAVE_VERSION) {
+    if (!SAVE_MIGRATIONS[v]) {
+      console.error('No migration for save version ' + v);
+      return null;
+    }
+    save = SAVE_MIGRATIONS[v](save);
+    save.version = ++v;
+  }
+  return save;
+}
+
+// ── UI ────────────────────────────────────────────────────────
+// #save-name + #save-new create a slot; #save-list shows one row
+// per slot with Load / Overwrite / Delete buttons.
+
+function initSaveUI() {
+  var nameInput = document.getElementById('save-name');
+  var newBtn    = document.getElementById('save-new');
+  if (!nameInput || !newBtn) return;
+
+  newBtn.addEventListener('click', function() {
+    var name = nameInput.value.trim();
+    newBtn.blur();
+    if (!name) return;
+    if (listSaves().some(function(s) { return s.name === name; }) &&
+        !confirm('Overwrite save "' + name + '"?')) return;
+    saveGame(name);
+    nameInput.value = '';
+    _renderSaveList();
+  });
+
+  _renderSaveList();
+}
+
+function _renderSaveList() {
+  var list = document.getElementById('save-list');
+  if (!list) return;
+  list.innerHTML = '';
+
+  listSaves().forEach(function(s) {
+    var row = document.createElement('div');
+    var label = document.createElement('span');
+    label.textContent = s.name + '  ' + (s.savedAt ? new Date(s.savedAt).toLocaleString() : '');
+    row.appendChild(label);
+
+    row.appendChild(_saveButton('Load', function() { loadGame(s.name); }));
+    row.appendChild(_saveButton('Overwrite', function() { saveGame(s.name); }));
+    row.appendChild(_saveButton('Delete', function() {
+      if (confirm('Delete save "' + s.name + '"?')) deleteSave(s.name);
+    }));
+    list.appendChild(row);
+  });
+}
+
+function _saveButton(text, onClick) {
+  var b = document.createElement('button');
+  b.textContent = text;
+  b.addEventListener('click', function() {
+    b.blur();   // keep Space/keys from re-clicking it
+    onClick();
+    _renderSaveList();
+  });
+  return b;
+}
@@ -0,0 +1,233 @@
+// ============================================================
+//  src/shadow.js  —  Shadow map for the sun (or moon)
+//
+//  Each frame renderShadowMap() draws the world chunks, sheep and
+//  enemies from the directional light into an offscreen texture,
+//  storing depth instead of colour. The world and sheep shaders
+//  then look each pixel up in it: sunShadow(pos, n) in SHADOW_GLSL
+//  is 1 where the light reaches pos and 0 where something nearer
+//  the light covers it, averaged over 3×3 texels (PCF) so the
+//  edges are soft. Only the sun term of light() is shadowed.
+//
+//  Depth is packed into an RGBA texture, which every WebGL 1
+//  implementation can render to (depth textures need an extension).
+//
+//  The light's view is an orthographic box around the whole world,
+//  so the map covers everything however the player moves.
+//
+//    g_shadowQuality — a SHADOW_QUALITY key: map size, or 'off'.
+//                      main.js reads ?shadows= and the menu.
+//
+//    initShadows(gl)               — compile, allocate the map
+//    setShadowQuality(gl, quality) — resize the map, or free it
+//    renderShadowMap(gl, alpha)    — before the main pass
+//    cacheShadowLocations(gl, p, locs), uploadShadow(gl, locs)
+//                                  — like the light.js pair
+// ============================================================
+
+'use strict';
+
+var SHADOW_QUALITY = { off: 0, low: 1024, medium: 2048, high: 4096 };
+
+var g_shadowQuality = 'medium';
+var g_shadowSize    = 0;         // map size in texels; 0 = no shadows
+var g_shadowProgram = null;
+var g_shl           = {};        // its locations
+var g_lightMatrix   = new Matrix4();   // world → light clip space
+
+var _shadowFBO     = null;
+var _shadowTexture = null;
+var _shadowDepth   = null;       // depth renderbuffer for the shadow pass
+var _lightView     = new Matrix4();
+
+// Depth packing needs more than mediump where the GPU has it
+var _SHADOW_HIGHP = `
+#ifdef GL_FRAGMENT_PRECISION_HIGH
+#define SHADOW_P highp
+#else
+#define SHADOW_P mediump
+#endif
+`;
+
+var SHADOW_GLSL = _SHADOW_HIGHP + `
+uniform sampler2D u_ShadowMap;
+uniform SHADOW_P mat4 u_LightMatrix;
+uniform float u_ShadowOn;
+uniform float u_ShadowTexel;   // 1 / map size
+
+SHADOW_P float unpackDepth(vec4 c) {
+  return dot(c, vec4(1.0, 1.0 / 255.0, 1.0 / 65025.0, 1.0 / 16581375.0));
+}
+
+float sunShadow(vec3 pos, vec3 n) {
+  if (u_ShadowOn < 0.5) return 1.0;
+  // Nudged off the surface so it doesn't shadow itself
+  SHADOW_P vec4 p = u_LightMatrix * vec4(pos + n * 0.08, 1.0);
+  SHADOW_P vec3 s = p.xyz / p.w * 0.5 + 0.5;
+  if (s.x < 0.0 || s.x > 1.0 || s.y < 0.0 || s.y > 1.0 || s.z > 1.0) return 1.0;
+
+  float lit = 0.0;
+  for (int x = -1; x <= 1; x++) {
+    for (int y = -1; y <= 1; y++) {
+      vec2 uv = s.xy + vec2(float(x), float(y)) * u_ShadowTexel;
+      lit += (s.z - 0.001 <= unpackDepth(texture2D(u_ShadowMap, uv))) ? 1.0 : 0.0;
+    }
+  }
+  return lit / 9.0;
+}
+`;
+
+var SHADOW_VSHADER = `
+attribute vec4 a_Position;
+uniform mat4 u_LightMatrix;
+uniform mat4 u_ModelMatrix;
+void main() {
+  gl_Position = u_LightMatrix * u_ModelMatrix * a_Position;
+}`;
+
+var SHADOW_FSHADER = `
+precision mediump float;
+` + _SHADOW_HIGHP + `
+void main() {
+  SHADOW_P vec4 enc = fract(vec4(1.0, 255.0, 65025.0, 16581375.0) * gl_FragCoord.z);
+  enc -= enc.yzww * vec4(1.0 / 255.0, 1.0 / 255.0, 1.0 / 255.0, 0.0);
+  gl_FragColor = enc;
+}`;
+
+// ── Setup ─────────────────────────────────────────────────────
+function initShadows(gl) {
+  g_shadowProgram = createProgram(gl, SHADOW_VSHADER, SHADOW_FSHADER);
+  if (!g_shadowProgram) { console.error('Shadow shader failed'); return; }
+
+  g_shl.a_Position    = gl.getAttribLocation (g_shadowProgram, 'a_Position');
+  g_shl.u_LightMatrix = gl.getUniformLocation(g_shadowProgram, 'u_LightMatrix');
+  g_shl.u_ModelMatrix = gl.getUniformLocation(g_shadowProgram, 'u_ModelMatrix');
+
+  setShadowQuality(gl, g_shadowQuality);
+}
+
+// Returns false for an unknown quality, or if this GPU can't render
+// the map (shadows are then off)
+function setShadowQuality(gl, quality) {
+  if (!Object.prototype.hasOwnProperty.call(SHADOW_QUALITY, quality)) return false;
+  g_shadowQuality = quality;
+  _freeShadowMap(gl);
+
+  var size = SHADOW_QUALITY[quality];
+  if (!size || !g_shadowProgram) return true;
+  size = Math.min(size, gl.getParameter(gl.MAX_TEXTURE_SIZE)      || size,
+                        gl.getParameter(gl.MAX_RENDERBUFFER_SIZE) || size);
+
+  _shadowTexture = gl.createTexture();
+  gl.activeTexture(gl.TEXTURE1);
+  gl.bindTexture(gl.TEXTURE_2D, _shadowTexture);
+  gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, size, size, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.NEAREST);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+  gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  gl.activeTexture(gl.TEXTURE0);
+
+  _shadowDepth = gl.createRenderbuffer();
+  gl.bindRenderbuffer(gl.RENDERBUFFER, _shadowDepth);
+  gl.renderbufferStorage(gl.RENDERBUFFER, gl.DEPTH_COMPONENT16, size, size);
+
+  _shadowFBO = gl.createFramebuffer();
+  gl.bindFramebuffer(gl.FRAMEBUFFER, _shadowFBO);
+  gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, _shadowTexture, 0);
+  gl.framebufferRenderbuffer(gl.FRAMEBUFFER, gl.DEPTH_ATTACHMENT, gl.RENDERBUFFER, _shadowDepth);
+  var status = gl.checkFramebufferStatus(gl.FRAMEBUFFER);
+  gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+
+  if (status !== gl.FRAMEBUFFER_COMPLETE) {
+    console.warn('Shadow map unsupported (framebuffer status ' + status + ') — shadows off');
+    _freeShadowMap(gl);
+    return false;
+  }
+  g_shadowSize = size;
+  return true;
+}
+
+function _freeShadowMap(gl) {
+  if (_shadowFBO)     gl.deleteFramebuffer(_shadowFBO);
+  if (_shadowTexture) gl.deleteTexture(_shadowTexture);
+  if (_shadowDepth)   gl.deleteRenderbuffer(_shadowDepth);
+  _shadowFBO = _shadowTexture = _shadowDepth = null;
+  g_shadowSize = 0;
+}
+
+// ── Light view ────────────────────────────────────────────────
+// An orthographic box facing along the light, just big enough for a
+// sphere around the world (plus room for anything standing on top)
+function _fitLightMatrix() {
+  var w = g_world.width, h = g_world.height, d = g_world.depth;
+  var r = 0.5 * Math.sqrt(w * w + h * h + d * d) + 4;
+
+  var s = g_light.sunDir;
+  var len = Math.sqrt(s[0] * s[0] + s[1] * s[1] + s[2] * s[2]) || 1;
+  var dx = s[0] / len, dy = s[1] / len, dz = s[2] / len;
+  var cx = w / 2, cy = h / 2, cz = d / 2;
+
+  var vertical = Math.abs(dy) > 0.99;   // setLookAt needs an up that isn't the view axis
+  _lightView.setLookAt(cx + dx * 2 * r, cy + dy * 2 * r, cz + dz * 2 * r,
+                       cx, cy, cz,
+                       0, vertical ? 0 : 1, vertical ? 1 : 0);
+  g_lightMatrix.setOrtho(-r, r, -r, r, r, 3 * r);
+  g_lightMatrix.multiply(_lightView);
+}
+
+// ── Shadow pass ───────────────────────────────────────────────
+// Leaves the shadow program in use, the canvas bound and the map
+// on texture unit 1 for the main pass.
+function renderShadowMap(gl, alpha) {
+  if (!g_shadowSize) return;
+  _fitLightMatrix();
+
+  gl.bindFramebuffer(gl.FRAMEBUFFER, _shadowFBO);
+  gl.viewport(0, 0, g_shadowSize, g_shadowSize);
+  gl.clearColor(1, 1, 1, 1);   // packs to depth 1: nothing in the way
+  gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+
+  gl.useProgram(g_shadowProgram);
+  gl.uniformMatrix4fv(g_shl.u_LightMatrix, false, g_lightMatrix.elements);
+  gl.enableVertexAttribArray(g_shl.a_Position);
+
+  // World chunks: positions are baked in, only a_Position is needed
+  gl.uniformMatrix4fv(g_shl.u_ModelMatrix, false, _identityElements);
+  for (var i = 0; i < g_chunks.length; i++) {
+    var batch = g_chunks[i].batch;
+    if (!batch || !batch.vbo || batch.vertCount === 0) continue;
+    gl.bindBuffer(gl.ARRAY_BUFFER, batch.vbo);
+    gl.vertexAttribPointer(g_shl.a_Position, 3, gl.FLOAT, false, 4 * BATCH_FLOATS, 0);
+    gl.drawArrays(gl.TRIANGLES, 0, batch.vertCount);
+  }
+
+  // Sheep and enemies, drawn by their own code into this program
+  useSheepLocations(g_shl);
+  drawSheep(gl, alpha);
+  if (!g_buildMode) drawEnemies(gl, alpha);
+  useSheepLocations(g_sl);
+
+  gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+  gl.viewport(0, 0, gl.canvas.width, gl.canvas.height);
+
+  gl.activeTexture(gl.TEXTURE1);
+  gl.bindTexture(gl.TEXTURE_2D, _shadowTexture);
+  gl.activeTexture(gl.TEXTURE0);
+}
+
+// ── Receivers ─────────────────────────────────────────────────
+function cacheShadowLocations(gl, program, locs) {
+  locs.u_ShadowMap    = gl.getUniformLocation(program, 'u_ShadowMap');
+  locs.u_LightMatrix  = gl.getUniformLocation(program, 'u_LightMatrix');
+  locs.u_ShadowOn     = gl.getUniformLocation(program, 'u_ShadowOn');
+  locs.u_ShadowTexel  = gl.getUniformLocation(program, 'u_ShadowTexel');
+}
+
+// Call after useProgram(), once per frame after renderShadowMap()
+function uploadShadow(gl, locs) {
+  gl.uniform1i       (locs.u_ShadowMap,   1);   // texture unit 1
+  gl.uniformMatrix4fv(locs.u_LightMatrix, false, g_lightMatrix.elements);
+  gl.uniform1f       (locs.u_ShadowOn,    g_shadowSize ? 1.0 : 0.0);
+  gl.uniform1f       (locs.u_ShadowTexel, g_shadowSize ? 1 / g_shadowSize : 0.0);
+}
@@ -12,24 +12,28 @@ uniform mat4 u_ViewMatrix;
 uniform mat4 u_ProjectionMatrix;
 varying vec3 v_Normal;
 varying vec3 v_Position;
+varying float v_FogDist;
 void main() {
-  gl_Position = u_ProjectionMatrix * u_ViewMatrix * u_ModelMatrix * a_Position;
-  v_Position  = vec3(u_ModelMatrix * a_Position);
+  vec4 world  = u_ModelMatrix * a_Position;
+  vec4 view   = u_ViewMatrix * world;
+  gl_Position = u_ProjectionMatrix * view;
+  v_Position  = world.xyz;
   v_Normal    = normalize(mat3(u_ModelMatrix) * a_Normal);
+  v_FogDist   = length(view.xyz);
 }`;
 
+// Lit and shadowed by light() from src/light.js and fogged by fog()
+// from src/sky.js, exactly like the world blocks
 var SHEEP_FSHADER = `
 precision mediump float;
 uniform vec3 u_Color;
-uniform vec3 u_LightPos;
-uniform vec3 u_Ambient;
 varying vec3 v_Normal;
 varying vec3 v_Position;
+varying float v_FogDist;
+` + SHADOW_GLSL + LIGHT_GLSL + FOG_GLSL + `
 void main() {
-  vec3  n    = normalize(v_Normal);
-  vec3  l    = normalize(u_LightPos - v_Position);
-  float diff = max(dot(n, l), 0.0);
-  gl_FragColor = vec4(u_Ambient * u_Color + diff * u_Color, 1.0);
+  vec3 lit = u_Color * light(normalize(v_Normal), v_Position);
+  gl_FragColor = vec4(fog(lit, v_FogDist), 1.0);
 }`;
 
 var g_sheepProgram  = null;
@@ -38,6 +42,10 @@ var g_sheepCylinder = {};
 var g_sheepCubeData = {};
 var g_sl            = {};
 
+// Locations _ss() draws with: g_sl, or the shadow program's while
+// renderShadowMap() (src/shadow.js) draws sheep and enemies into it
+var _ssLocs = g_sl;
+
 // Pre-allocated matrix pool — enough for all parts (body+head+eyes×2+ears×2+tail+arms×8+legs×8 = 24)
 var _mBase = new Matrix4();
 var _mPool = [];
@@ -52,6 +60,8 @@ var SC = {
 
 // Animation state — mirrors original variable names
 var g_sheepTime        = 0;
+var g_sheepPrevTime    = 0;   // g_sheepTime at the previous sim step
+var SHEEP_ANIM_SPEED   = 2.4; // animation time units per second
 var g_tailAngle        = 0;
 var g_rightArmShoulder = 0;
 var g_rightArmElbow    = 0;
@@ -62,7 +72,8 @@ var g_rightLegKnee     = 0;
 var g_leftLegHip       = 0;
 var g_leftLegKnee      = 0;
 
-var SHEEP_X = 8, SHEEP_Z = 8;
+// Where sheep stand — replaced by loadLevel(). All share one animation clock.
+var g_sheepPositions = [{ x: 8, z: 8 }];
 
 // ── Init ─────────────────────────────────────────────────────
 function initSheepShader(gl) {
@@ -75,8 +86,9 @@ function initSheepShader(gl) {
   g_sl.u_ViewMatrix       = gl.getUniformLocation(g_sheepProgram, 'u_ViewMatrix');
   g_sl.u_ProjectionMatrix = gl.getUniformLocation(g_sheepProgram, 'u_ProjectionMatrix');
   g_sl.u_Color            = gl.getUniformLocation(g_sheepProgram, 'u_Color');
-  g_sl.u_LightPos         = gl.getUniformLocation(g_sheepProgram, 'u_LightPos');
-  g_sl.u_Ambient          = gl.getUniformLocation(g_sheepProgram, 'u_Ambient');
+  cacheLightLocations(gl, g_sheepProgram, g_sl);
+  cacheFogLocations(gl, g_sheepProgram, g_sl);
+  cacheShadowLocations(gl, g_sheepProgram, g_sl);
 
   _initSheepSphere(gl);
   _initSheepCylinder(gl);
@@ -93,18 +105,27 @@ function beginSheepPass(gl, camera) {
   gl.useProgram(g_sheepProgram);
   gl.uniformMatrix4fv(g_sl.u_ViewMatrix,        false, camera.viewMatrix.elements);
   gl.uniformMatrix4fv(g_sl.u_ProjectionMatrix,  false, camera.projectionMatrix.elements);
-  gl.uniform3f(g_sl.u_LightPos, 16, 20, 16);
-  gl.uniform3f(g_sl.u_Ambient,  0.35, 0.35, 0.35);
+  uploadLight(gl, g_sl);   // the same light, fog and shadows as the world pass
+  uploadFog(gl, g_sl);
+  uploadShadow(gl, g_sl);
+}
+
+function useSheepLocations(locs) { _ssLocs = locs; }
+
+// ── Update (fixed sim step) ──────────────────────────────────
+function updateSheep(dt) {
+  g_sheepPrevTime = g_sheepTime;
+  g_sheepTime    += SHEEP_ANIM_SPEED * dt;
 }
 
 // ── Draw ─────────────────────────────────────────────────────
-function drawSheep(gl) {
+// alpha (0..1) interpolates the animation clock between sim steps
+function drawSheep(gl, alpha) {
   if (!g_sheepProgram) return;
 
-  // Tick animation
-  g_sheepTime += 0.04;
-  g_tailAngle          = Math.sin(g_sheepTime * 2.5) * 20;
-  var walk             = Math.sin(g_sheepTime);
+  var t = g_sheepPrevTime + (g_sheepTime - g_sheepPrevTime) * alpha;
+  g_tailAngle          = Math.sin(t * 2.5) * 20;
+  var walk             = Math.sin(t);
   // Arms: biased around ±15 deg like original (rotate around Z)
   g_rightArmShoulder   = -walk * 15 + 15;
   g_leftArmShoulder    =  walk * 15 - 15;
@@ -115,10 +136,15 @@ function drawSheep(gl) {
   g_rightLegKnee       =  Math.abs(walk) * 0.4;
   g_leftLegKnee        =  Math.abs(walk) * 0.4;
 
-  _mBase.setTranslate(SHEEP_X, 2.5, SHEEP_Z);
-  _mBase.rotate(g_sheepTime * 20 % 360, 0, 1, 0);
+  for (var i = 0; i < g_sheepPositions.length; i++) {
+    var sp = g_sheepPositions[i];
+    // Body origin sits 2.5 above the floor of the column it stands on
+    var floor = getBlockHeight(Math.floor(sp.x), Math.floor(sp.z));
+    _mBase.setTranslate(sp.x, floor + 2.5, sp.z);
+    _mBase.rotate(t * 20 % 360, 0, 1, 0);
 
-  _drawBody(gl);
+    _drawBody(gl);
+  }
 }
 
 // ── Body — exact original transforms ─────────────────────────
@@ -201,12 +227,15 @@ function _drawLeg(gl, xOff, si, hip, knee) {
 
 // ── Minimal draw — only model matrix + colour change per part ─
 function _ss(gl, modelMatrix, color, bufData) {
-  gl.uniformMatrix4fv(g_sl.u_ModelMatrix, false, modelMatrix.elements);
-  gl.uniform3fv(g_sl.u_Color, color);
+  var l = _ssLocs;
+  gl.uniformMatrix4fv(l.u_ModelMatrix, false, modelMatrix.elements);
+  if (l.u_Color) gl.uniform3fv(l.u_Color, color);
   gl.bindBuffer(gl.ARRAY_BUFFER, bufData.vertexBuffer);
-  gl.vertexAttribPointer(g_sl.a_Position, 3, gl.FLOAT, false, 0, 0);
-  gl.bindBuffer(gl.ARRAY_BUFFER, bufData.normalBuffer);
-  gl.vertexAttribPointer(g_sl.a_Normal, 3, gl.FLOAT, false, 0, 0);
+  gl.vertexAttribPointer(l.a_Position, 3, gl.FLOAT, false, 0, 0);
+  if (l.a_Normal >= 0) {   // the shadow pass has no normals
+    gl.bindBuffer(gl.ARRAY_BUFFER, bufData.normalBuffer);
+    gl.vertexAttribPointer(l.a_Normal, 3, gl.FLOAT, false, 0, 0);
+  }
   gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, bufData.indexBuffer);
   gl.drawElements(gl.TRIANGLES, bufData.numIndices, gl.UNSIGNED_SHORT, 0);
 }
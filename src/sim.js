@@ -0,0 +1,180 @@
+// ============================================================
+//  src/sim.js  —  The simulation, with no rendering
+//
+//  Everything that changes game state happens in simStep(): the
+//  player (keys, mouse look, physics), the world clock, bullets,
+//  enemies, sheep and world edits. Nothing here touches GL, the
+//  DOM or a canvas — world edits only mark chunks dirty and the
+//  renderer re-meshes them (rebuildBatches in renderScene) — so
+//  the same code steps in the browser (main.js) and under Node
+//  (tools/headless.js).
+//
+//    initSimulation()     — create the player camera
+//    simStep(dt, input)   — advance by one fixed step
+//    pickTarget()         — block under the crosshair
+//
+//  An input frame is everything the player did during one step:
+//    [keys, mouseDX, mouseDY, shots, wheel]
+//  keys = names held (as in g_keys), mouseDX/DY = summed mouse
+//  movement, shots = left clicks, wheel = block type steps.
+// ============================================================
+
+'use strict';
+
+var SIM_DT   = 1 / 60;             // seconds per simulation step
+var NO_INPUT = [[], 0, 0, 0, 0];   // an input frame with nothing pressed
+
+var camera    = null;
+var g_keys    = {};   // keys held this step (main.js's key handlers write here too)
+var g_simTime = 0;    // seconds simulated (reset when a replay starts)
+
+function initSimulation() {
+  camera    = new Camera();
+  g_keys    = {};
+  g_simTime = 0;
+}
+
+// ── Simulation step ───────────────────────────────────────────
+// Advances all gameplay by exactly dt seconds. All player input
+// arrives through `input`, one input frame (see the header; main.js
+// builds it from events, src/replay.js may swap in a recorded one).
+function simStep(dt, input) {
+  camera.savePrevious();
+  g_simTime += dt;
+  _applyInput(replayFrame(input || NO_INPUT));
+
+  var _eyeBefore = [camera.eye[0], camera.eye[2]];
+  _handleKeys(dt);
+  var _moving = (camera.eye[0] !== _eyeBefore[0] || camera.eye[2] !== _eyeBefore[1]);
+  tickWalkSound(_moving && camera.grounded);
+  camera.applyGravity(dt);   // physics tick
+  updateClock(dt);
+  updateBullets(dt);
+  if (!g_buildMode) {   // build mode: no spawns, no damage
+    updateEnemies(camera, dt);
+    setBullets(checkBulletHits(getBullets()));
+  }
+  updateSheep(dt);
+}
+
+// Everything but the held keys acts here; _handleKeys() reads those
+function _applyInput(frame) {
+  g_keys = {};
+  for (var i = 0; i < frame[0].length; i++) g_keys[frame[0][i]] = true;
+
+  if (frame[1] || frame[2]) camera.mouseRotate(frame[1], frame[2]);
+  for (var s = 0; s < frame[3]; s++) {
+    shoot(camera);
+    playSound('shoot');
+  }
+  if (frame[4]) cycleActiveBlock(frame[4]);
+}
+
+// ── Per-step key handling ─────────────────────────────────────
+function _handleKeys(dt) {
+  if (g_keys['w']) camera.moveForward(dt);
+  if (g_keys['s']) camera.moveBackwards(dt);
+  if (g_keys['a']) camera.moveLeft(dt);
+  if (g_keys['d']) camera.moveRight(dt);
+  if (g_keys['q']) camera.panLeft(dt);
+  if (g_keys['e']) camera.panRight(dt);
+
+  // Space = jump, or hold Space / Shift to rise / sink while flying
+  if (camera.flying) {
+    if (g_keys[' '])     camera.fly( 1, dt);
+    if (g_keys['shift']) camera.fly(-1, dt);
+  } else if (g_keys[' ']) {
+    camera.jump();
+    playSound('jump');
+    g_keys[' '] = false;
+  }
+
+  // B = toggle build mode
+  if (g_keys['b']) {
+    toggleBuildMode();
+    g_keys['b'] = false;
+  }
+  if (g_buildMode) _handleBuildKeys();
+
+  // F = shoot
+  if (g_keys['f']) {
+    shoot(camera);
+    playSound('shoot');
+    g_keys['f'] = false;
+  }
+
+  // 1-9 = choose the block type T places
+  for (var n = 1; n <= 9; n++) {
+    if (g_keys[n]) {
+      selectBlockSlot(n);
+      g_keys[n] = false;
+    }
+  }
+
+  // Ctrl+Z = undo, Ctrl+Y / Ctrl+Shift+Z = redo. Checked first so
+  // the letters don't also act as plain keys.
+  if (g_keys['control'] || g_keys['meta']) {
+    if (g_keys['z'] && !g_keys['shift']) undoEdit();
+    else if (g_keys['y'] || g_keys['z']) redoEdit();
+    g_keys['z'] = false;
+    g_keys['y'] = false;
+  }
+
+  // T = place a block of the active type against the targeted face
+  if (g_keys['t']) {
+    var hit = pickTarget();
+    if (hit) {
+      var px = hit.x + hit.nx, py = hit.y + hit.ny, pz = hit.z + hit.nz;
+      if (getBlock(px, py, pz) === BLOCK_AIR && !camera.overlapsBlock(px, py, pz) &&
+          editBlock(px, py, pz, g_activeBlock)) {
+        playSound('place');
+      }
+    }
+    g_keys['t'] = false;
+  }
+
+  // Y = remove the targeted block
+  if (g_keys['y']) {
+    var hit = pickTarget();
+    if (hit && editBlock(hit.x, hit.y, hit.z, BLOCK_AIR)) {
+      playSound('break');
+    }
+    g_keys['y'] = false;
+  }
+}
+
+// ── Build mode region tools (see src/build.js) ────────────────
+// G/H = selection corners at the crosshair, J = fill with the active
+// block, K = hollow box, X = clear, C = copy, V = paste onto the
+// targeted face, R = rotate. One press, one action.
+function _handleBuildKeys() {
+  var actions = {
+    g: function() { setSelectionCorner(1, pickTarget()); },
+    h: function() { setSelectionCorner(2, pickTarget()); },
+    j: function() { fillSelection(g_activeBlock); },
+    k: function() { hollowSelection(g_activeBlock); },
+    x: function() { clearSelection(); },
+    c: function() { copySelection(); },
+    v: function() {
+      var hit = pickTarget();
+      if (hit) pasteClipboard(hit.x + hit.nx, hit.y + hit.ny, hit.z + hit.nz);
+    },
+    r: function() { rotateSelection(); }
+  };
+  for (var k in actions) {
+    if (g_keys[k]) {
+      actions[k]();
+      g_keys[k] = false;
+    }
+  }
+}
+
+// ── Block targeting ───────────────────────────────────────────
+var BLOCK_REACH = 6;   // how far away blocks can be placed/removed (units)
+
+// Block under the crosshair within reach, or null (see raycastBlock)
+function pickTarget() {
+  var d = camera.lookDir();
+  return raycastBlock(camera.eye[0], camera.eye[1], camera.eye[2],
+                      d[0], d[1], d[2], BLOCK_REACH);
+}
@@ -0,0 +1,135 @@
+// ============================================================
+//  src/sky.js  —  Gradient sky and distance fog
+//
+//  The sky is the unit cube (cube.js) drawn around the eye with
+//  the view's rotation only, so it never gets closer however far
+//  the player walks. Its fragment shader blends from the horizon
+//  colour straight out to the zenith colour overhead; both come
+//  from the clock (g_horizonColor, g_skyColor in daynight.js).
+//
+//  FOG_GLSL is pasted into the world and sheep fragment shaders;
+//  fog(color, dist) fades a surface dist units from the eye into
+//  the fog colour. The fog colour is the horizon colour unless
+//  g_fog.color is set, and the sky's horizon uses it too, so the
+//  far edge of the map melts into the sky.
+//
+//    g_fog.mode     — 'exp' (default), 'linear' or 'off'
+//    g_fog.density  — exp: fraction faded per unit, roughly
+//    g_fog.start/end — linear: clear up to start, solid at end
+//    g_fog.color    — [r, g, b], or null to follow the horizon
+//
+//  main.js sets these from ?fog=, ?fogdensity= and ?fogcolor=rrggbb.
+//
+//    initSky(gl)                  — compile the sky program
+//    drawSky(gl, camera)          — first thing in a frame
+//    cacheFogLocations(gl, p, locs), uploadFog(gl, locs)
+//                                 — like the light.js pair
+// ============================================================
+
+'use strict';
+
+var g_fog = {
+  mode:    'exp',
+  density: 0.015,
+  start:   24,
+  end:     96,
+  color:   null
+};
+
+var FOG_MODES = { off: 0, linear: 1, exp: 2 };
+
+var FOG_GLSL = `
+uniform float u_FogMode;       // 0 off, 1 linear, 2 exponential
+uniform float u_FogDensity;
+uniform float u_FogStart;
+uniform float u_FogEnd;
+uniform vec3  u_FogColor;
+
+vec3 fog(vec3 color, float dist) {
+  float clear = 1.0;   // how much of the surface shows through
+  if (u_FogMode > 1.5)      clear = exp(-u_FogDensity * dist);
+  else if (u_FogMode > 0.5) clear = clamp((u_FogEnd - dist) / (u_FogEnd - u_FogStart), 0.0, 1.0);
+  return mix(u_FogColor, color, clear);
+}
+`;
+
+var SKY_VSHADER = `
+attribute vec4 a_Position;
+uniform mat4 u_ViewMatrix;
+uniform mat4 u_ProjectionMatrix;
+varying vec3 v_Dir;
+void main() {
+  v_Dir       = a_Position.xyz;
+  // Rotation only: the eye is always at the centre of the sky
+  gl_Position = u_ProjectionMatrix * vec4(mat3(u_ViewMatrix) * a_Position.xyz, 1.0);
+}`;
+
+var SKY_FSHADER = `
+precision mediump float;
+uniform vec3 u_Zenith;
+uniform vec3 u_Horizon;
+varying vec3 v_Dir;
+void main() {
+  float up = clamp(normalize(v_Dir).y, 0.0, 1.0);
+  gl_FragColor = vec4(mix(u_Horizon, u_Zenith, sqrt(up)), 1.0);
+}`;
+
+var g_skyProgram = null;
+var g_skl        = {};
+
+var _fogColor = new Float32Array(3);
+
+function initSky(gl) {
+  g_skyProgram = createProgram(gl, SKY_VSHADER, SKY_FSHADER);
+  if (!g_skyProgram) { console.error('Sky shader failed'); return; }
+
+  g_skl.a_Position         = gl.getAttribLocation (g_skyProgram, 'a_Position');
+  g_skl.u_ViewMatrix       = gl.getUniformLocation(g_skyProgram, 'u_ViewMatrix');
+  g_skl.u_ProjectionMatrix = gl.getUniformLocation(g_skyProgram, 'u_ProjectionMatrix');
+  g_skl.u_Zenith           = gl.getUniformLocation(g_skyProgram, 'u_Zenith');
+  g_skl.u_Horizon          = gl.getUniformLocation(g_skyProgram, 'u_Horizon');
+}
+
+// The colour distant things fade to
+function fogColor() {
+  var c = g_fog.color || g_horizonColor;
+  _fogColor[0] = c[0]; _fogColor[1] = c[1]; _fogColor[2] = c[2];
+  return _fogColor;
+}
+
+// Depth writes off, so everything drawn afterwards covers it.
+// Leaves the sky program in use.
+function drawSky(gl, camera) {
+  if (!g_skyProgram) return;
+  gl.useProgram(g_skyProgram);
+  gl.uniformMatrix4fv(g_skl.u_ViewMatrix,       false, camera.viewMatrix.elements);
+  gl.uniformMatrix4fv(g_skl.u_ProjectionMatrix, false, camera.projectionMatrix.elements);
+  gl.uniform3fv(g_skl.u_Zenith,  g_skyColor);
+  gl.uniform3fv(g_skl.u_Horizon, fogColor());
+
+  gl.bindBuffer(gl.ARRAY_BUFFER, _cubeVBO);
+  gl.vertexAttribPointer(g_skl.a_Position, 3, gl.FLOAT, false, 4 * CUBE_FLOATS, 0);
+  gl.enableVertexAttribArray(g_skl.a_Position);
+
+  gl.depthMask(false);
+  gl.drawArrays(gl.TRIANGLES, 0, 36);
+  gl.depthMask(true);
+}
+
+function cacheFogLocations(gl, program, locs) {
+  locs.u_FogMode    = gl.getUniformLocation(program, 'u_FogMode');
+  locs.u_FogDensity = gl.getUniformLocation(program, 'u_FogDensity');
+  locs.u_FogStart   = gl.getUniformLocation(program, 'u_FogStart');
+  locs.u_FogEnd     = gl.getUniformLocation(program, 'u_FogEnd');
+  locs.u_FogColor   = gl.getUniformLocation(program, 'u_FogColor');
+}
+
+// Call after useProgram(), once per frame
+function uploadFog(gl, locs) {
+  var known = Object.prototype.hasOwnProperty.call(FOG_MODES, g_fog.mode);
+  gl.uniform1f (locs.u_FogMode,    known ? FOG_MODES[g_fog.mode] : FOG_MODES.exp);
+  gl.uniform1f (locs.u_FogDensity, g_fog.density);
+  gl.uniform1f (locs.u_FogStart,   g_fog.start);
+  gl.uniform1f (locs.u_FogEnd,     Math.max(g_fog.end, g_fog.start + 0.01));
+  gl.uniform3fv(locs.u_FogColor,   fogColor());
+}
@@ -13,6 +13,7 @@
 // ============================================================
 
 var _sfx = {};
+var g_soundMuted = false;   // set while a replay fast-forwards
 
 function initSounds() {
   var defs = {
@@ -35,7 +36,7 @@ function initSounds() {
 // Fire a one-shot sound from the beginning
 function playSound(name) {
   var a = _sfx[name];
-  if (!a) return;
+  if (!a || g_soundMuted) return;
   a.currentTime = 0;
   a.play().catch(function(){});
 }
@@ -45,6 +46,7 @@ var _walkActive = false;
 function tickWalkSound(moving) {
   var a = _sfx['walk'];
   if (!a) return;
+  if (g_soundMuted) moving = false;
   if (moving && !_walkActive) {
     _walkActive = true;
     a.currentTime = 0;
@@ -1,17 +1,34 @@
 // ============================================================
 //  src/world.js
 //
-//  Instead of returning 700+ individual Cube objects,
-//  buildWorld() now fills two CubeBatch instances:
-//    g_batchStone  — texture 0 (stone,  heights 1-3)
-//    g_batchBrick  — texture 1 (brick,  height 4)
+//  The world is a true 3D voxel store: every (x, y, z) cell holds
+//  a block id (0 = air, see BLOCKS in src/blocks.js). Overhangs,
+//  arches, tunnels and floating platforms are all just voxels with
+//  air below them.
 //
-//  The entire world is drawn with exactly 2 draw calls.
-//  Call rebuildBatches(gl) whenever the map changes.
+//  The store lives in g_world, which also knows its own width,
+//  depth and height — maps can be any rectangular size.
+//
+//  g_map below is the hand-drawn starting layout, written as a
+//  heightmap; loadHeightmap() sizes g_world to it and stacks it
+//  into the voxel store.
+//
+//  Meshing lives in src/chunks.js. setBlock() marks the chunk
+//  it touches dirty; the renderer re-meshes just those chunks
+//  before the next frame.
 // ============================================================
 
 'use strict';
 
+// ── Voxel store ───────────────────────────────────────────────
+var DEFAULT_WORLD_HEIGHT = 16;   // layers, unless a layout needs more
+var MAX_WORLD_HEIGHT     = 64;   // loadLevel() refuses taller worlds
+var MAX_WORLD_SIZE       = 512;  // ... and wider or deeper ones
+
+var g_world = createWorld(32, 32, DEFAULT_WORLD_HEIGHT);
+
+// Starting layout — column heights, g_map[row][col] (row = z, col = x).
+// Heights of 4 and up are built from brick, lower ones from stone.
 // prettier-ignore
 var g_map = [
   [4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4],
@@ -48,58 +65,175 @@ var g_map = [
   [4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4,4],
 ];
 
-// Two batches — declared in main.js, assigned here
-// Call once at startup (and again after addBlock/removeBlock)
-function buildWorld(gl) {
-  var ROWS = g_map.length;
-  var COLS = g_map[0].length;
-  var stone = [], brick = [];
-
-  for (var row = 0; row < ROWS; row++) {
-    for (var col = 0; col < COLS; col++) {
-      var h = g_map[row][col];
-      if (h === 0) continue;
-      var isBrick = (h >= 4);
-
-      for (var y = 0; y < h; y++) {
-        var desc = {
-          tx: col + 0.5,
-          ty: y   + 0.5,
-          tz: row + 0.5,
-          sx: 1, sy: 1, sz: 1
-        };
-        if (isBrick) brick.push(desc);
-        else         stone.push(desc);
-      }
-    }
+// An empty world of the given size.
+//   width  — x extent (columns)
+//   depth  — z extent (rows)
+//   height — y extent (layers)
+// voxels is a flat array, x fastest then z then y: one byte per voxel.
+function createWorld(width, depth, height) {
+  return {
+    width:  width,
+    depth:  depth,
+    height: height,
+    voxels: new Uint8Array(width * height * depth)
+  };
+}
+
+function _voxelIndex(x, y, z) {
+  return (y * g_world.depth + z) * g_world.width + x;
+}
+
+function inWorld(x, y, z) {
+  return x >= 0 && x < g_world.width  &&
+         y >= 0 && y < g_world.height &&
+         z >= 0 && z < g_world.depth;
+}
+
+// Block id at integer voxel coords — air outside the world
+function getBlock(x, y, z) {
+  if (!inWorld(x, y, z)) return BLOCK_AIR;
+  return g_world.voxels[_voxelIndex(x, y, z)];
+}
+
+// Returns false if the coords are outside the world
+function setBlock(x, y, z, id) {
+  if (!inWorld(x, y, z)) return false;
+  g_world.voxels[_voxelIndex(x, y, z)] = id;
+  markChunkDirty(x, z);
+  return true;
+}
+
+// Overwrite the world with a copy of its voxels taken earlier (same
+// size). Only voxels that differ are written, so only their chunks
+// are re-meshed.
+function restoreVoxels(voxels) {
+  var v = g_world.voxels, w = g_world.width, d = g_world.depth;
+  for (var i = 0; i < v.length; i++) {
+    if (v[i] === voxels[i]) continue;
+    setBlock(i % w, Math.floor(i / (w * d)), Math.floor(i / w) % d, voxels[i]);
   }
+}
 
-  if (!g_batchStone) g_batchStone = new CubeBatch();
-  if (!g_batchBrick) g_batchBrick = new CubeBatch();
-  g_batchStone.build(gl, stone, 0);
-  g_batchBrick.build(gl, brick, 1);
+function isSolidBlock(x, y, z) {
+  return BLOCKS[getBlock(x, y, z)].solid;
 }
 
-// Alias so the old buildWorld() call pattern still works
-// (main.js calls buildWorld() but now needs gl — we patch main.js below)
-function rebuildBatches(gl) { buildWorld(gl); }
+// Replace g_world with one sized to a heightmap layout (map[row][col])
+// and stack the layout into it. Rows may be ragged; missing cells are 0.
+function loadHeightmap(map) {
+  var width = 0, tallest = 0;
+  for (var row = 0; row < map.length; row++) {
+    width = Math.max(width, map[row].length);
+    for (var col = 0; col < map[row].length; col++) tallest = Math.max(tallest, map[row][col]);
+  }
+  g_world = createWorld(width, map.length, Math.max(DEFAULT_WORLD_HEIGHT, tallest));
+
+  for (var row = 0; row < map.length; row++) {
+    for (var col = 0; col < map[row].length; col++) {
+      var h  = map[row][col];
+      var id = (h >= 4) ? BLOCK_BRICK : BLOCK_STONE;
+      for (var y = 0; y < h; y++) setBlock(col, y, row, id);
+    }
+  }
+}
 
 // ── Map editing ───────────────────────────────────────────────
-function addBlock(col, row) {
-  if (col < 0 || col >= 32 || row < 0 || row >= 32) return false;
-  if (g_map[row][col] >= 4) return false;
-  g_map[row][col]++;
-  return true;
+// Column-style edits: push onto / pop off the top of a column.
+// Both are recorded for undo (see src/history.js); per-voxel player
+// edits use editBlock(), loaders write with setBlock().
+
+var MAX_COLUMN_HEIGHT = 4;   // addBlock() stacks no higher, as before voxels
+
+function addBlock(col, row, id) {
+  var h = getBlockHeight(col, row);
+  if (h >= Math.min(MAX_COLUMN_HEIGHT, g_world.height)) return false;
+  return editBlock(col, h, row, id || BLOCK_STONE);
 }
 
 function removeBlock(col, row) {
-  if (col < 0 || col >= 32 || row < 0 || row >= 32) return false;
-  if (g_map[row][col] <= 0) return false;
-  g_map[row][col]--;
-  return true;
+  var h = getBlockHeight(col, row);
+  if (h <= 0) return false;
+  return editBlock(col, h - 1, row, BLOCK_AIR);
 }
 
+// Height of the top of the highest solid block in a column (0 = empty)
 function getBlockHeight(col, row) {
-  if (col < 0 || col >= 32 || row < 0 || row >= 32) return 0;
-  return g_map[row][col];
-}
\ No newline at end of file
+  return getFloorBelow(col, row, g_world.height);
+}
+
+// Top of the highest solid block in a column whose top is at or below maxY.
+// The ground plane counts as a floor at 0. Lets the camera stand
+// under overhangs and walk through doorways.
+function getFloorBelow(col, row, maxY) {
+  if (col < 0 || col >= g_world.width || row < 0 || row >= g_world.depth) return 0;
+  for (var y = Math.min(Math.floor(maxY), g_world.height) - 1; y >= 0; y--) {
+    if (BLOCKS[g_world.voxels[_voxelIndex(col, y, row)]].solid) return y + 1;
+  }
+  return 0;
+}
+
+// ── Raycast ───────────────────────────────────────────────────
+// Steps through the grid cell by cell along the ray from (ox,oy,oz)
+// in direction (dx,dy,dz) — a voxel DDA (Amanatides & Woo) — and
+// returns the first non-air block within maxDist:
+//   { x, y, z, nx, ny, nz, dist }
+// (nx,ny,nz) is the normal of the face the ray entered through, so
+// (x+nx, y+ny, z+nz) is the cell a new block goes into. The ground
+// plane under the world reports as a hit at y = -1. null on a miss.
+function raycastBlock(ox, oy, oz, dx, dy, dz, maxDist) {
+  var len = Math.sqrt(dx*dx + dy*dy + dz*dz);
+  if (len === 0) return null;
+  dx /= len; dy /= len; dz /= len;
+
+  var x = Math.floor(ox), y = Math.floor(oy), z = Math.floor(oz);
+  var stepX = dx > 0 ? 1 : -1, stepY = dy > 0 ? 1 : -1, stepZ = dz > 0 ? 1 : -1;
+
+  // Ray distance between grid lines on each axis, and to the first one
+  var tDeltaX = dx !== 0 ? Math.abs(1 / dx) : Infinity;
+  var tDeltaY = dy !== 0 ? Math.abs(1 / dy) : Infinity;
+  var tDeltaZ = dz !== 0 ? Math.abs(1 / dz) : Infinity;
+  var tMaxX = (dx > 0 ? x + 1 - ox : ox - x) * tDeltaX;
+  var tMaxY = (dy > 0 ? y + 1 - oy : oy - y) * tDeltaY;
+  var tMaxZ = (dz > 0 ? z + 1 - oz : oz - z) * tDeltaZ;
+
+  var nx = 0, ny = 0, nz = 0, t = 0;
+  while (t <= maxDist) {
+    if (y < 0) {
+      if (x < 0 || x >= g_world.width || z < 0 || z >= g_world.depth) return null;
+      return { x: x, y: -1, z: z, nx: 0, ny: 1, nz: 0, dist: t };
+    }
+    if (getBlock(x, y, z) !== BLOCK_AIR) {
+      return { x: x, y: y, z: z, nx: nx, ny: ny, nz: nz, dist: t };
+    }
+
+    if (tMaxX < tMaxY && tMaxX < tMaxZ) {
+      x += stepX; t = tMaxX; tMaxX += tDeltaX;
+      nx = -stepX; ny = 0; nz = 0;
+    } else if (tMaxY < tMaxZ) {
+      y += stepY; t = tMaxY; tMaxY += tDeltaY;
+      nx = 0; ny = -stepY; nz = 0;
+    } else {
+      z += stepZ; t = tMaxZ; tMaxZ += tDeltaZ;
+      nx = 0; ny = 0; nz = -stepZ;
+    }
+  }
+  return null;
+}
+
+// Centre of the empty column nearest the middle of the map, searched
+// in growing square rings — where the player starts
+function findSpawnPoint() {
+  var cx = Math.floor(g_world.width / 2), cz = Math.floor(g_world.depth / 2);
+  var maxR = Math.max(g_world.width, g_world.depth);
+  for (var r = 0; r < maxR; r++) {
+    for (var dz = -r; dz <= r; dz++) {
+      for (var dx = -r; dx <= r; dx++) {
+        if (Math.max(Math.abs(dx), Math.abs(dz)) !== r) continue;   // ring only
+        var col = cx + dx, row = cz + dz;
+        if (col < 0 || col >= g_world.width || row < 0 || row >= g_world.depth) continue;
+        if (getBlockHeight(col, row) === 0) return { x: col + 0.5, z: row + 0.5 };
+      }
+    }
+  }
+  return { x: cx + 0.5, z: cz + 0.5 };
+}
@@ -0,0 +1,197 @@
+// ============================================================
+//  test/camera.test.js  —  Player movement, aiming and physics
+//
+//  The player starts at (8.5, 8.5) on flatLevel(16, 16), feet on
+//  the ground (eye 1.5), facing +X. The border walls are 4 tall.
+// ============================================================
+
+'use strict';
+
+var test   = require('node:test');
+var assert = require('assert');
+var h      = require('./helpers');
+
+var DT = 1 / 60;
+
+// ── Walking ───────────────────────────────────────────────────
+
+test('moveForward walks speed × dt along the facing direction', function() {
+  var game = h.newGame(), cam = game.camera;
+  cam.moveForward(0.1);
+  h.near(cam.eye, [8.5 + cam.speed * 0.1, 1.5, 8.5]);
+
+  cam.yaw = 90;   // facing +Z
+  cam.moveBackwards(0.1);
+  h.near(cam.eye, [8.5 + cam.speed * 0.1, 1.5, 8.5 - cam.speed * 0.1]);
+});
+
+test('strafing is perpendicular to the facing direction', function() {
+  var game = h.newGame(), cam = game.camera;
+  cam.moveLeft(0.1);
+  h.near(cam.eye, [8.5, 1.5, 8.5 - cam.speed * 0.1]);
+  cam.moveRight(0.2);
+  h.near(cam.eye, [8.5, 1.5, 8.5 + cam.speed * 0.1]);
+});
+
+test('walls stop the player flush against their face', function() {
+  var game = h.newGame(), cam = game.camera;
+  h.stepFor(game, 120, [['w'], 0, 0, 0, 0]);
+  h.near([cam.eye[0]], [15 - cam.radius - 0.001]);
+  assert.deepEqual(cam.getMapPosition(), { col: 14, row: 8 });
+});
+
+test('walking into a wall at an angle slides along it', function() {
+  var game = h.newGame(), cam = game.camera;
+  cam.yaw = 45;
+  h.stepFor(game, 120, [['w'], 0, 0, 0, 0]);
+  h.near([cam.eye[0], cam.eye[2]], [15 - cam.radius - 0.001, 15 - cam.radius - 0.001]);
+});
+
+test('the player steps up one block but not two', function() {
+  var game = h.newGame(), cam = game.camera;
+  game.addBlock(10, 8);
+  h.stepFor(game, 13, [['w'], 0, 0, 0, 0]);   // to x ≈ 10.45, on top of it
+  assert.ok(cam.eye[0] > 10, 'walked onto the block');
+  h.near([cam.eye[1]], [2.5]);
+
+  game = h.newGame(); cam = game.camera;
+  game.addBlock(10, 8); game.addBlock(10, 8);
+  h.stepFor(game, 30, [['w'], 0, 0, 0, 0]);
+  h.near([cam.eye[0]], [10 - cam.radius - 0.001]);
+  h.near([cam.eye[1]], [1.5]);
+});
+
+test('Q and E turn at panSpeed', function() {
+  var game = h.newGame(), cam = game.camera;
+  h.stepFor(game, 30, [['e'], 0, 0, 0, 0]);
+  h.near([cam.yaw], [cam.panSpeed * 30 * DT], 1e-9);
+});
+
+// ── Aiming ────────────────────────────────────────────────────
+// getFrontMapPosition() was replaced by lookDir() + pickTarget(),
+// which aim along the full yaw/pitch look direction.
+
+test('mouse look turns and clamps pitch to ±89°', function() {
+  var game = h.newGame(), cam = game.camera;
+  cam.mouseRotate(1800, 0);
+  h.near([cam.yaw], [90]);
+  cam.mouseRotate(0, -100000);
+  assert.strictEqual(cam.pitch, 89);
+  cam.mouseRotate(0, 100000);
+  assert.strictEqual(cam.pitch, -89);
+});
+
+test('the view turns smoothly between sim steps', function() {
+  var game = h.newGame(), cam = game.camera;
+  // Eye-space position of a point 2 units ahead along yaw (degrees)
+  var ahead = function(yaw) {
+    var r = yaw * Math.PI / 180, e = cam.eye;
+    return cam.viewMatrix.multiplyVector3(
+      new game.Vector3([e[0] + 2 * Math.cos(r), e[1], e[2] + 2 * Math.sin(r)])).elements;
+  };
+  game.simStep(game.SIM_DT, [[], 1800, 0, 0, 0]);   // 90° in one step
+  cam.updateView(0.5);
+  h.near(ahead(45), [0, 0, -2], 1e-5);
+  cam.updateView(1);
+  h.near(ahead(90), [0, 0, -2], 1e-5);
+
+  game.loadLevel(h.flatLevel(16, 16));   // a respawn doesn't sweep the view
+  cam.updateView(0);
+  h.near(ahead(0), [0, 0, -2], 1e-5);
+});
+
+test('lookDir follows yaw and pitch', function() {
+  var game = h.newGame(), cam = game.camera;
+  h.near(cam.lookDir(), [1, 0, 0]);
+  cam.yaw = 90;
+  h.near(cam.lookDir(), [0, 0, 1]);
+  cam.yaw = 180; cam.pitch = 45;
+  h.near(cam.lookDir(), [-Math.SQRT1_2, Math.SQRT1_2, 0]);
+});
+
+test('pickTarget finds the block in front within reach', function() {
+  var game = h.newGame(), cam = game.camera;
+  assert.strictEqual(game.pickTarget(), null, 'the wall is out of reach');
+
+  game.addBlock(11, 8); game.addBlock(11, 8);
+  var hit = game.pickTarget();
+  assert.deepEqual([hit.x, hit.y, hit.z, hit.nx], [11, 1, 8, -1]);
+
+  cam.pitch = -60;   // looking down at the ground in front
+  hit = game.pickTarget();
+  assert.deepEqual([hit.x, hit.y, hit.z, hit.ny], [9, -1, 8, 1]);
+});
+
+test('T places against the targeted face, Y removes the target', function() {
+  var game = h.newGame();
+  game.addBlock(11, 8);
+  game.camera.pitch = -20;
+  h.stepFor(game, 1, [['t'], 0, 0, 0, 0]);
+  assert.strictEqual(game.getBlock(10, 0, 8), game.BLOCK_STONE);
+  h.stepFor(game, 1, [['y'], 0, 0, 0, 0]);
+  assert.strictEqual(game.getBlock(10, 0, 8), game.BLOCK_AIR);
+});
+
+// ── Jumping and gravity ───────────────────────────────────────
+
+test('a jump rises jumpForce² / 2g and lands back on the ground', function() {
+  var game = h.newGame(), cam = game.camera;
+  cam.jump();
+  assert.strictEqual(cam.grounded, false);
+
+  var peak = cam.eye[1], steps = 0;
+  while (!cam.grounded && steps < 600) {
+    cam.applyGravity(DT);
+    peak = Math.max(peak, cam.eye[1]);
+    steps++;
+  }
+  var expected = cam.jumpForce * cam.jumpForce / (2 * cam.gravity);
+  assert.ok(Math.abs(peak - 1.5 - expected) < 0.1, 'peak ' + (peak - 1.5));
+  assert.strictEqual(cam.eye[1], 1.5);
+  assert.strictEqual(cam.velY, 0);
+  assert.ok(steps > 20 && steps < 40, 'airborne for ' + steps + ' steps');
+});
+
+test('jumping again in mid-air does nothing', function() {
+  var game = h.newGame(), cam = game.camera;
+  cam.jump();
+  cam.applyGravity(DT);
+  var velY = cam.velY;
+  cam.jump();
+  assert.strictEqual(cam.velY, velY);
+});
+
+test('Space jumps through the simulation step', function() {
+  var game = h.newGame(), cam = game.camera;
+  h.stepFor(game, 10, [[' '], 0, 0, 0, 0]);
+  assert.ok(cam.eye[1] > 1.5);
+  h.stepFor(game, 120);
+  assert.strictEqual(cam.grounded, true);
+  assert.strictEqual(cam.eye[1], 1.5);
+});
+
+test('walking off a ledge falls and lands on the floor below', function() {
+  var game = h.newGame(), cam = game.camera;
+  for (var i = 0; i < 3; i++) game.addBlock(8, 8);
+  cam.teleport(8.5, 3, 8.5);
+  cam.applyGravity(DT);
+  h.near([cam.eye[1]], [4.5]);
+
+  h.stepFor(game, 60, [['w'], 0, 0, 0, 0]);
+  assert.strictEqual(cam.grounded, true);
+  h.near([cam.eye[1]], [1.5]);
+});
+
+test('an overhang stops a jump at head height', function() {
+  var game = h.newGame(), cam = game.camera;
+  game.setBlock(8, 2, 8, game.BLOCK_STONE);   // gap of 2 under it
+  cam.jump();
+  var highest = 0;
+  for (var i = 0; i < 60; i++) {
+    cam.applyGravity(DT);
+    highest = Math.max(highest, cam.eye[1] - cam.eyeHeight + cam.height);
+  }
+  assert.ok(highest < 2, 'head reached ' + highest);
+  assert.strictEqual(cam.grounded, true);
+  h.near([cam.eye[1]], [1.5]);
+});
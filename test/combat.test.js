@@ -0,0 +1,160 @@
+// ============================================================
+//  test/combat.test.js  —  Bullets, enemies, health and score
+// ============================================================
+
+'use strict';
+
+var test   = require('node:test');
+var assert = require('assert');
+var h      = require('./helpers');
+
+var DT = 1 / 60;
+
+// A game with exactly one enemy, at (x, z)
+function gameWithEnemy(x, z) {
+  var game = h.newGame();
+  game.g_enemies = [];
+  game._pushEnemy(x, z);
+  return game;
+}
+
+function bulletAt(x, y, z) {
+  return { x: x, y: y, z: z, px: x, py: y, pz: z, dx: 0, dy: 0, dz: 0, life: 1 };
+}
+
+// ── checkBulletHits ───────────────────────────────────────────
+
+test('a hit costs the enemy one health and uses up the bullet', function() {
+  var game  = gameWithEnemy(4, 4);
+  var enemy = game.g_enemies[0];
+  var left  = game.checkBulletHits([bulletAt(4.2, 0.5, 4), bulletAt(10, 0.5, 10)]);
+  assert.strictEqual(left.length, 1);
+  assert.strictEqual(left[0].x, 10);
+  assert.strictEqual(enemy.health, 1);
+  assert.strictEqual(enemy.dead, false);
+  assert.strictEqual(game.g_score, 0);
+});
+
+test('the second hit kills the enemy and scores 10', function() {
+  var game  = gameWithEnemy(4, 4);
+  var enemy = game.g_enemies[0];
+  game.checkBulletHits([bulletAt(4, 0.5, 4)]);
+  game.checkBulletHits([bulletAt(4, 0.5, 4)]);
+  assert.strictEqual(enemy.dead, true);
+  assert.strictEqual(game.g_score, 10);
+
+  // dead enemies no longer stop bullets, and are dropped on update
+  assert.strictEqual(game.checkBulletHits([bulletAt(4, 0.5, 4)]).length, 1);
+  game.updateEnemies(game.camera, DT);
+  assert.strictEqual(game.g_enemies.length, 0);
+});
+
+test('hits count within scale + 0.3 of the enemy centre', function() {
+  var game  = gameWithEnemy(4, 4);
+  var reach = game.g_enemies[0].scale + 0.3;
+  assert.strictEqual(game.checkBulletHits([bulletAt(4 + reach + 0.01, 0.5, 4)]).length, 1);
+  assert.strictEqual(game.checkBulletHits([bulletAt(4, 0.5 + reach - 0.01, 4)]).length, 0);
+});
+
+test('one bullet only damages one enemy', function() {
+  var game = gameWithEnemy(4, 4);
+  game._pushEnemy(4, 4);
+  game.checkBulletHits([bulletAt(4, 0.5, 4)]);
+  var health = game.g_enemies.map(function(e) { return e.health; });
+  assert.deepEqual(health, [1, 2]);
+});
+
+// ── Shooting ──────────────────────────────────────────────────
+
+test('shoot fires along the look direction, then cools down', function() {
+  var game = h.newGame(), cam = game.camera;
+  game.shoot(cam);
+  game.shoot(cam);
+  assert.strictEqual(game.g_bullets.length, 1);
+  var b = game.g_bullets[0];
+  h.near([b.x, b.y, b.z], [cam.eye[0] + 0.5, cam.eye[1], cam.eye[2]]);
+  h.near([b.dx, b.dy, b.dz], [game.BULLET_SPEED, 0, 0]);
+
+  game.updateBullets(game.SHOOT_COOLDOWN + 0.01);
+  game.shoot(cam);
+  assert.strictEqual(game.g_bullets.length, 2);
+});
+
+test('bullets expire after BULLET_LIFE', function() {
+  var game = h.newGame();
+  game.shoot(game.camera);
+  game.updateBullets(game.BULLET_LIFE - 0.01);
+  assert.strictEqual(game.g_bullets.length, 1);
+  game.updateBullets(0.02);
+  assert.strictEqual(game.g_bullets.length, 0);
+});
+
+test('clicking twice kills an enemy in front of the player', function() {
+  var game = gameWithEnemy(12, 8.5);
+  var shot = [[], 0, 0, 1, 0];
+  game.camera.pitch = -5;   // the enemy floats below eye height
+  h.stepFor(game, 1, shot);
+  h.stepFor(game, 30);
+  h.stepFor(game, 1, shot);
+  h.stepFor(game, 30);
+  assert.strictEqual(game.g_score, 10);
+  assert.strictEqual(game.g_enemies.length, 0);
+});
+
+// ── updateEnemies ─────────────────────────────────────────────
+
+test('enemies walk straight at the player at ENEMY_SPEED', function() {
+  var game  = gameWithEnemy(4.5, 8.5);   // player at (8.5, 8.5)
+  var enemy = game.g_enemies[0];
+  game.updateEnemies(game.camera, 0.5);
+  h.near([enemy.x, enemy.z], [4.5 + game.ENEMY_SPEED * 0.5, 8.5]);
+  h.near([enemy.px, enemy.pz], [4.5, 8.5]);
+});
+
+test('enemies in range drain health at ENEMY_DPS', function() {
+  var game = gameWithEnemy(9, 8.5);
+  game.updateEnemies(game.camera, 0.5);
+  h.near([game.g_playerHealth], [100 - game.ENEMY_DPS * 0.5]);
+});
+
+test('enemies out of range do no damage', function() {
+  var game = gameWithEnemy(2, 2);
+  game.updateEnemies(game.camera, 0.5);
+  assert.strictEqual(game.g_playerHealth, 100);
+});
+
+test('health never drops below zero', function() {
+  var game = gameWithEnemy(8.5, 8.5);
+  for (var i = 0; i < 20; i++) game.updateEnemies(game.camera, 1);
+  assert.strictEqual(game.g_playerHealth, 0);
+});
+
+test('every enemy in range adds its own damage', function() {
+  var game = gameWithEnemy(9, 8.5);
+  game._pushEnemy(8, 8.5);
+  game.updateEnemies(game.camera, 0.25);
+  h.near([game.g_playerHealth], [100 - 2 * game.ENEMY_DPS * 0.25]);
+});
+
+test('a new enemy spawns every ENEMY_SPAWN_INTERVAL, up to ENEMY_MAX', function() {
+  var game = gameWithEnemy(2, 2);
+  game.g_enemySpawnTimer = 0;
+  game.updateEnemies(game.camera, game.ENEMY_SPAWN_INTERVAL - 0.01);
+  assert.strictEqual(game.g_enemies.length, 1);
+  game.updateEnemies(game.camera, 0.02);
+  assert.strictEqual(game.g_enemies.length, 2);
+
+  for (var i = 0; i < game.ENEMY_MAX * 2; i++) {
+    game.updateEnemies(game.camera, game.ENEMY_SPAWN_INTERVAL);
+  }
+  assert.strictEqual(game.g_enemies.length, game.ENEMY_MAX);
+});
+
+test('build mode pauses enemies and damage', function() {
+  var game = gameWithEnemy(9, 8.5);
+  h.stepFor(game, 1, [['b'], 0, 0, 0, 0]);
+  assert.strictEqual(game.g_buildMode, true);
+  h.stepFor(game, 60);
+  assert.strictEqual(game.g_playerHealth, 100);
+  h.near([game.g_enemies[0].x], [9]);
+});
@@ -0,0 +1,158 @@
+// ============================================================
+//  test/daynight.test.js  —  World clock, sky, light and spawns
+// ============================================================
+
+'use strict';
+
+var test   = require('node:test');
+var assert = require('assert');
+var h      = require('./helpers');
+
+function levelAt(time, dayLength) {
+  var level = h.flatLevel(16, 16);
+  level.clock = { time: time, dayLength: dayLength };
+  return level;
+}
+
+// ── Clock ─────────────────────────────────────────────────────
+
+test('a level without a clock starts at the defaults', function() {
+  var game = h.newGame();
+  h.near([game.g_clock.time], [game.g_clockDefaults.time], 0.01);
+  assert.strictEqual(game.g_clock.dayLength, game.g_clockDefaults.dayLength);
+});
+
+test('the clock runs a full day in dayLength seconds and wraps', function() {
+  var game = h.newGame({ level: levelAt(23, 24) });   // one hour per second
+  var start = game.g_clock.time;
+  h.stepFor(game, 60);
+  h.near([game.g_clock.time], [(start + 1) % 24], 1e-6);
+  assert.ok(game.g_clock.time < 1, 'past midnight');
+  assert.strictEqual(game.clockString().length, 5);
+});
+
+test('setClock wraps the start time into 0..24', function() {
+  var game = h.newGame();
+  game.setClock({ time: -3, dayLength: 60 });
+  assert.strictEqual(game.g_clock.time, 21);
+  game.setClock({ time: 30 });
+  assert.strictEqual(game.g_clock.time, 6);
+  assert.strictEqual(game.g_clock.dayLength, game.g_clockDefaults.dayLength);
+  assert.strictEqual(game.clockString(), '06:00');
+});
+
+test('the clock is saved with the level', function() {
+  var game = h.newGame({ level: levelAt(20.5, 90) });
+  var saved = game.exportLevel();
+  assert.ok(Math.abs(saved.clock.time - 20.5) < 0.01);
+  assert.strictEqual(saved.clock.dayLength, 90);
+
+  var other = h.newGame();
+  other.loadLevel(saved);
+  assert.strictEqual(other.g_clock.time, saved.clock.time);
+  assert.strictEqual(other.g_clock.dayLength, 90);
+});
+
+test('levels export their own start time, saves the time now', function() {
+  var game = h.newGame({ level: levelAt(20.5, 90) });
+  h.stepFor(game, 600);   // 10 s: 2.67 hours
+  var now = game.g_clock.time;
+  assert.ok(now > 23);
+  assert.strictEqual(game.exportLevel().clock.time, 20.5);
+
+  var state = JSON.parse(JSON.stringify(game.captureGameState()));
+  assert.strictEqual(state.clock.time, now);
+  var other = h.newGame();
+  assert.strictEqual(other.restoreGameState(state), true);
+  assert.strictEqual(other.g_clock.time, now);
+  assert.strictEqual(other.g_clock.dayLength, 90);
+  assert.strictEqual(other.exportLevel().clock.time, 20.5, 'still the authored start');
+
+  assert.strictEqual(h.newGame().exportLevel().clock, undefined, 'none authored');
+});
+
+// ── Light ─────────────────────────────────────────────────────
+
+test('the sun is overhead at noon and the moon up at midnight', function() {
+  var game = h.newGame();
+  game.setClock({ time: 12 });
+  assert.strictEqual(game.daylight(), 1);
+  game.applyDaylight();
+  assert.ok(game.g_light.sunDir[1] > 0.9, 'sun high');
+
+  game.setClock({ time: 0 });
+  assert.strictEqual(game.daylight(), 0);
+  game.applyDaylight();
+  assert.ok(game.g_light.sunDir[1] > 0.9, 'moon high');
+  h.near(game.g_light.sunColor, game.MOON_COLOR);
+});
+
+test('morning sun comes from the east, evening sun from the west', function() {
+  var game = h.newGame();
+  game.setClock({ time: 8 });
+  game.applyDaylight();
+  assert.ok(game.g_light.sunDir[0] > 0);
+  game.setClock({ time: 16 });
+  game.applyDaylight();
+  assert.ok(game.g_light.sunDir[0] < 0);
+});
+
+test('sun and moon fade out at the horizon instead of switching', function() {
+  var game = h.newGame();
+  var light = function(hour) {
+    game.setClock({ time: hour });
+    game.applyDaylight();
+    return Array.from(game.g_light.sunColor);
+  };
+  [6, 18].forEach(function(hour) {
+    h.near(light(hour), [0, 0, 0], 1e-9, hour + ':00');
+    [-0.05, 0.05].forEach(function(dt) {
+      light(hour + dt).forEach(function(c) { assert.ok(c < 0.02, (hour + dt) + 'h: ' + c); });
+    });
+  });
+  assert.ok(light(7)[0] > game.MOON_COLOR[0], 'full sun by 7:00');
+  h.near(light(5), game.MOON_COLOR, 1e-9, 'full moon by 5:00');
+});
+
+test('nights are darker, with a dark sky', function() {
+  var game = h.newGame();
+  game.setClock({ time: 12 });
+  game.applyDaylight();
+  var dayAmbient = game.g_light.ambient.slice(), daySky = game.g_skyColor.slice();
+  game.setClock({ time: 23 });
+  game.applyDaylight();
+  for (var i = 0; i < 3; i++) {
+    assert.ok(game.g_light.ambient[i] < dayAmbient[i], 'ambient ' + i);
+  }
+  assert.ok(game.g_skyColor[2] < daySky[2] / 4, 'sky');
+  h.near(daySky.slice(0, 3), [0.53, 0.81, 0.98]);
+});
+
+test('both shaders draw with the ambient for the current time', function() {
+  var game = h.newRenderer({ level: levelAt(0, 240) });
+  var draws = h.canvasDraws(game);
+  var night = draws.filter(function(d) { return d.program === game.g_sheepProgram; })[0];
+  h.near(night.uniforms.u_Ambient, game.NIGHT_AMBIENT);
+  h.near(draws[1].uniforms.u_Ambient, game.NIGHT_AMBIENT, 1e-6, 'ground');
+  h.near(draws[0].uniforms.u_Zenith, game.g_skyColor, 1e-6, 'sky');
+
+  game.setClock({ time: 12 });
+  h.near(h.canvasDraws(game)[1].uniforms.u_Ambient, game.DAY_AMBIENT);
+});
+
+// ── Enemies ───────────────────────────────────────────────────
+
+test('enemies spawn faster at night', function() {
+  var game = h.newGame();
+  game.setClock({ time: 12 });
+  var day = game.enemySpawnInterval();
+  assert.strictEqual(day, game.ENEMY_SPAWN_INTERVAL);
+  game.setClock({ time: 0 });
+  var night = game.enemySpawnInterval();
+  h.near([night], [game.ENEMY_SPAWN_INTERVAL * game.ENEMY_NIGHT_SPAWN_SCALE], 1e-9);
+
+  game.g_enemies = [];
+  game.g_enemySpawnTimer = 0;
+  game.updateEnemies(game.camera, night + 0.01);
+  assert.strictEqual(game.g_enemies.length, 1);
+});
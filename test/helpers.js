@@ -0,0 +1,125 @@
+// ============================================================
+//  test/helpers.js  —  Shared setup for the test suite
+//
+//  Run every test from the repo root with Node 18+:
+//
+//    node --test test/
+//
+//  Each test gets its own game from tools/headless.js, so no
+//  state leaks between tests. Arrays made inside a game belong to
+//  its vm context, so compare them with near() / Array.from()
+//  rather than deepStrictEqual.
+// ============================================================
+
+'use strict';
+
+var assert   = require('assert');
+var headless = require('../tools/headless');
+var mockGL   = require('./mock-gl');
+
+// A walled, flat width×depth level: border columns `wall` tall,
+// everything else empty ground. The player starts in the middle
+// facing +X; no sheep, enemies spawn at the map edges.
+function flatLevel(width, depth, wall) {
+  var map = [];
+  for (var z = 0; z < depth; z++) {
+    var row = [];
+    for (var x = 0; x < width; x++) {
+      var edge = x === 0 || z === 0 || x === width - 1 || z === depth - 1;
+      row.push(edge ? (wall === undefined ? 4 : wall) : 0);
+    }
+    map.push(row);
+  }
+  return {
+    version:   1,
+    size:      { width: width, depth: depth, height: 16 },
+    heightmap: map,
+    player:    { x: width / 2 + 0.5, z: depth / 2 + 0.5, yaw: 0 }
+  };
+}
+
+// A fresh game on flatLevel(16, 16) unless a level is given, stepped
+// once so the player has landed (loading drops them in airborne)
+function newGame(options) {
+  options = options || {};
+  var game = headless.createGame({
+    seed:  options.seed === undefined ? 1 : options.seed,
+    level: options.level || flatLevel(16, 16)
+  });
+  game.simStep(game.SIM_DT, game.NO_INPUT);
+  return game;
+}
+
+// A game with the renderer (src/main.js) loaded on a recording mock
+// GL context (see mock-gl.js), set up as main() would and with the
+// level loaded. game.gl is the mock; game.renderScene(1) draws one
+// frame. Same options as newGame(), plus options.gl for createMockGL().
+function newRenderer(options) {
+  options = options || {};
+  var game = headless.loadScripts(
+    headless.SIM_SCRIPTS.concat(['lib/cuon-utils.js', 'src/main.js']),
+    { window: {}, document: stubDocument() });
+  game.seedRandom(options.seed === undefined ? 1 : options.seed);
+  game.initSimulation();
+  game.gl = mockGL.createMockGL(options.gl);
+  assert.ok(game.initRenderer(game.gl, game.gl.canvas), 'renderer set up');
+  assert.ok(game.loadLevel(options.level || flatLevel(16, 16)), 'level loaded');
+  game.simStep(game.SIM_DT, game.NO_INPUT);
+  return game;
+}
+
+// Draw one frame (alpha 1) with a renderer game and return its
+// draws to the canvas; game.gl.draws still has the shadow pass too
+function canvasDraws(game) {
+  game.gl.reset();
+  game.renderScene(1);
+  return game.gl.draws.filter(function(d) { return d.framebuffer === null; });
+}
+
+// Just enough of `document` for the atlas: a <canvas> whose 2D
+// context accepts any drawing call
+function stubDocument() {
+  var anything = new Proxy(function() {}, {
+    get:   function(t, name) { return name === Symbol.toPrimitive ? function() { return 0; } : anything; },
+    set:   function() { return true; },
+    apply: function() { return anything; }
+  });
+  return {
+    createElement:  function() { return { getContext: function() { return anything; } }; },
+    getElementById: function() { return null; }
+  };
+}
+
+// Step the simulation n times with the same input frame
+function stepFor(game, n, frame) {
+  for (var i = 0; i < n; i++) game.simStep(game.SIM_DT, frame || game.NO_INPUT);
+}
+
+// fn() with the game's console.error silenced, for checking that
+// bad input is rejected (the loaders log why) without the noise
+function quietly(game, fn) {
+  var error = game.console.error;
+  game.console.error = function() {};
+  try { return fn(); } finally { game.console.error = error; }
+}
+
+// Element-wise comparison of number lists, to within eps
+function near(actual, expected, eps, message) {
+  eps = eps === undefined ? 1e-6 : eps;
+  assert.strictEqual(actual.length, expected.length, message);
+  for (var i = 0; i < expected.length; i++) {
+    assert.ok(Math.abs(actual[i] - expected[i]) <= eps,
+      (message ? message + ': ' : '') + 'index ' + i + ' is ' + actual[i] +
+      ', expected ' + expected[i]);
+  }
+}
+
+module.exports = {
+  flatLevel:   flatLevel,
+  newGame:     newGame,
+  newRenderer: newRenderer,
+  canvasDraws: canvasDraws,
+  stepFor:     stepFor,
+  quietly:     quietly,
+  near:        near
+};
@@ -0,0 +1,76 @@
+// ============================================================
+//  test/level.test.js  —  Loading and rejecting level files
+// ============================================================
+
+'use strict';
+
+var test   = require('node:test');
+var assert = require('assert');
+var h      = require('./helpers');
+
+var BAD_LEVELS = {
+  'negative size':       { version: 1, size: { width: -4, depth: 8 }, voxels: [] },
+  'missing width':       { version: 1, size: { depth: 8 }, voxels: [] },
+  'fractional height':   { version: 1, size: { width: 4, depth: 4, height: 2.5 }, voxels: [] },
+  'voxels not a list':   { version: 1, size: { width: 4, depth: 4 }, voxels: 'abc' },
+  'heightmap string':    { version: 1, heightmap: 'abc' },
+  'empty heightmap':     { version: 1, heightmap: [] },
+  'ragged heightmap':    { version: 1, heightmap: [[1, 1, 1], [1, 1]] },
+  'negative height':     { version: 1, heightmap: [[1, -1], [1, 1]] },
+  'no world':            { version: 1, size: { width: 4, depth: 4 } },
+  'short block entry':   { version: 1, heightmap: [[0, 0], [0, 0]], blocks: [[0, 0, 0]] },
+  'unknown block id':    { version: 1, heightmap: [[0, 0], [0, 0]], blockTypes: ['air', 'stone'],
+                           blocks: [[0, 0, 0, 2]] },
+  'towering heightmap':  { version: 1, heightmap: [[0, 0], [0, 1e7]] },
+  'towering size':       { version: 1, size: { width: 4, depth: 4, height: 1e7 }, voxels: [] },
+  'huge size':           { version: 1, size: { width: 1e6, depth: 1e6 }, voxels: [] },
+  'sheep not a list':    { version: 1, heightmap: [[0, 0], [0, 0]], sheep: 5 },
+  'sheep without z':     { version: 1, heightmap: [[0, 0], [0, 0]], sheep: [{ x: 1 }] },
+  'spawn zones object':  { version: 1, heightmap: [[0, 0], [0, 0]], enemySpawnZones: {} },
+  'player x string':     { version: 1, heightmap: [[0, 0], [0, 0]], player: { x: 'a', z: 1 } },
+  'clock string':        { version: 1, heightmap: [[0, 0], [0, 0]], clock: 'noon' },
+  'zero day length':     { version: 1, heightmap: [[0, 0], [0, 0]], clock: { dayLength: 0 } }
+};
+
+Object.keys(BAD_LEVELS).forEach(function(name) {
+  test('a level with ' + name + ' is rejected and the world kept', function() {
+    var game   = h.newGame();
+    var world  = game.g_world;
+    var serial = game.g_levelSerial;
+    assert.strictEqual(h.quietly(game, function() { return game.loadLevel(BAD_LEVELS[name]); }), false);
+    assert.strictEqual(game.g_world, world);
+    assert.strictEqual(game.g_levelSerial, serial);
+    assert.strictEqual(game.getBlockHeight(0, 0), 4, 'still the old walls');
+  });
+});
+
+test('a valid level round-trips through exportLevel', function() {
+  var game = h.newGame();
+  game.loadLevel({ version: 1, heightmap: [[2, 0, 1], [0, 0, 0]], blocks: [[1, 3, 1, 1]] });
+  assert.strictEqual(game.g_world.width, 3);
+  assert.strictEqual(game.g_world.depth, 2);
+  assert.strictEqual(game.getBlock(1, 3, 1), 1);
+
+  var other = h.newGame();
+  assert.strictEqual(other.loadLevel(JSON.stringify(game.exportLevel())), true);
+  assert.deepEqual(Array.from(other.g_world.voxels), Array.from(game.g_world.voxels));
+});
+
+test('generated terrain is dirt under grass inside a stone border', function() {
+  var game = h.newGame();
+  assert.strictEqual(game.loadLevel(game.generateLevel('terrain', 7, 48)), true);
+  var ids = { dirt: 0, grass: 0, stone: 0 };
+  var v = game.g_world.voxels;
+  for (var i = 0; i < v.length; i++) {
+    if (v[i] === game.BLOCK_AIR) continue;
+    var name = game.BLOCK_NAMES[v[i]];
+    assert.ok(name in ids, 'no ' + name);
+    ids[name]++;
+  }
+  assert.ok(ids.dirt > 0 && ids.grass > 0);
+  assert.strictEqual(game.getBlock(0, 6, 0), game.BLOCK_STONE, 'border');
+  for (var x = 1; x < 47; x++) {
+    var top = game.getBlockHeight(x, 20);
+    if (top > 0) assert.strictEqual(game.BLOCK_NAMES[game.getBlock(x, top - 1, 20)], 'grass');
+  }
+});
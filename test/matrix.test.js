@@ -0,0 +1,102 @@
+// ============================================================
+//  test/matrix.test.js  —  lib/cuon-matrix.js against known results
+//
+//  Matrix4.elements is column-major, as WebGL expects:
+//  elements[12..14] hold the translation.
+// ============================================================
+
+'use strict';
+
+var test     = require('node:test');
+var assert   = require('assert');
+var h        = require('./helpers');
+var headless = require('../tools/headless');
+
+var lib = headless.loadScripts(['lib/cuon-matrix.js']);
+
+var IDENTITY = [1,0,0,0, 0,1,0,0, 0,0,1,0, 0,0,0,1];
+
+function point(m, x, y, z) {
+  return m.multiplyVector3(new lib.Vector3([x, y, z])).elements;
+}
+
+// ── setPerspective ────────────────────────────────────────────
+
+test('setPerspective matches the OpenGL frustum formula', function() {
+  var m = new lib.Matrix4().setPerspective(90, 1, 1, 3);
+  h.near(m.elements, [1,0,0,0, 0,1,0,0, 0,0,-2,-1, 0,0,-3,0]);
+
+  var n = 0.1, f = 100, ct = 1 / Math.tan(Math.PI / 6);
+  m.setPerspective(60, 2, n, f);
+  h.near(m.elements, [ct / 2,0,0,0, 0,ct,0,0,
+                      0,0,-(f + n) / (f - n),-1, 0,0,-2 * n * f / (f - n),0], 1e-5);
+});
+
+test('setPerspective maps the near and far planes to NDC -1 and +1', function() {
+  var m = new lib.Matrix4().setPerspective(60, 1.5, 0.5, 50);
+  var near = m.multiplyVector4(new lib.Vector4([0, 0, -0.5, 1])).elements;
+  var far  = m.multiplyVector4(new lib.Vector4([0, 0, -50, 1])).elements;
+  h.near([near[2] / near[3], far[2] / far[3]], [-1, 1], 1e-5);
+});
+
+// ── setLookAt ─────────────────────────────────────────────────
+
+test('setLookAt down -Z from (0,0,5) is a plain translation', function() {
+  var m = new lib.Matrix4().setLookAt(0, 0, 5, 0, 0, 0, 0, 1, 0);
+  h.near(m.elements, [1,0,0,0, 0,1,0,0, 0,0,1,0, 0,0,-5,1]);
+});
+
+test('setLookAt towards +X turns +X into -Z', function() {
+  var m = new lib.Matrix4().setLookAt(0, 0, 0, 1, 0, 0, 0, 1, 0);
+  h.near(m.elements, [0,0,-1,0, 0,1,0,0, 1,0,0,0, 0,0,0,1]);
+});
+
+test('setLookAt puts the eye at the origin and the target straight ahead', function() {
+  var m = new lib.Matrix4().setLookAt(1, 2, 3, 4, 6, 3, 0, 1, 0);
+  h.near(point(m, 1, 2, 3), [0, 0, 0], 1e-5);
+  h.near(point(m, 4, 6, 3), [0, 0, -5], 1e-5);
+});
+
+test("the camera's view matrix looks along lookDir()", function() {
+  var game = h.newGame(), cam = game.camera;
+  cam.yaw = 30; cam.pitch = -20;
+  cam.updateView();
+  var d = cam.lookDir(), e = cam.eye;
+  var ahead = cam.viewMatrix.multiplyVector3(
+    new game.Vector3([e[0] + 2 * d[0], e[1] + 2 * d[1], e[2] + 2 * d[2]])).elements;
+  h.near(ahead, [0, 0, -2], 1e-5);
+});
+
+// ── setInverseOf ──────────────────────────────────────────────
+
+test('setInverseOf inverts translations and scales exactly', function() {
+  var m = new lib.Matrix4().setInverseOf(new lib.Matrix4().setTranslate(1, -2, 3));
+  h.near(m.elements, [1,0,0,0, 0,1,0,0, 0,0,1,0, -1,2,-3,1]);
+
+  m.setInverseOf(new lib.Matrix4().setScale(2, 4, 8));
+  h.near(m.elements, [0.5,0,0,0, 0,0.25,0,0, 0,0,0.125,0, 0,0,0,1]);
+
+  m.setInverseOf(new lib.Matrix4());
+  h.near(m.elements, IDENTITY);
+});
+
+test('a matrix times its inverse is the identity', function() {
+  var m = new lib.Matrix4().setTranslate(3, -1, 7);
+  m.rotate(35, 1, 2, 0.5);
+  m.scale(2, 0.5, 3);
+  var inv = new lib.Matrix4().setInverseOf(m);
+  h.near(new lib.Matrix4(m).multiply(inv).elements, IDENTITY, 1e-5);
+  h.near(new lib.Matrix4(inv).multiply(m).elements, IDENTITY, 1e-5);
+});
+
+test('setInverseOf leaves the matrix unchanged for a singular input', function() {
+  var m = new lib.Matrix4().setTranslate(1, 2, 3);
+  m.setInverseOf(new lib.Matrix4().setScale(1, 0, 1));
+  h.near(m.elements, [1,0,0,0, 0,1,0,0, 0,0,1,0, 1,2,3,1]);
+});
+
+test('setInverseOf undoes a view matrix', function() {
+  var view = new lib.Matrix4().setLookAt(4, 1.5, 9, 5, 1, 2, 0, 1, 0);
+  var inv  = new lib.Matrix4().setInverseOf(view);
+  h.near(point(inv, 0, 0, 0), [4, 1.5, 9], 1e-5);
+});
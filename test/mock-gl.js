@@ -0,0 +1,224 @@
+// ============================================================
+//  test/mock-gl.js  —  Recording stand-in for WebGL
+//
+//  createMockGL() returns a fake WebGLRenderingContext that runs
+//  the game's GL code under Node and remembers what it was asked
+//  to do, so tests can check the render path without a GPU:
+//
+//    gl.log      — every call in order: { fn, args }
+//    gl.draws    — every drawArrays / drawElements, with the state
+//                  it drew under: { fn, mode, count, program,
+//                  depthMask, enabled, buffer, framebuffer, uniforms }
+//    gl.uploads  — every bufferData: { target, buffer, data }
+//    gl.state    — current program, bindings, depthMask, enabled caps,
+//                  viewport
+//
+//    gl.calls(fn)          — the logged calls to one method
+//    gl.uniform(name)      — last value set for a uniform of the
+//                            current program (or gl.uniform(name, p))
+//    gl.liveBuffers()      — buffers created and not yet deleted
+//    gl.reset()            — forget the logs, keep the state (so a
+//                            test can look at a single frame)
+//
+//  Constants have their real WebGL values. Programs and shaders
+//  always compile; framebuffers are complete unless
+//  options.incompleteFramebuffers. MAX_TEXTURE_SIZE and
+//  MAX_RENDERBUFFER_SIZE are options.maxTextureSize (default
+//  4096). Methods not modelled here are still logged and return
+//  undefined, so new GL code doesn't break old tests.
+// ============================================================
+
+'use strict';
+
+var CONSTANTS = {
+  DEPTH_BUFFER_BIT: 0x0100, COLOR_BUFFER_BIT: 0x4000,
+  POINTS: 0, LINES: 1, LINE_LOOP: 2, LINE_STRIP: 3,
+  TRIANGLES: 4, TRIANGLE_STRIP: 5, TRIANGLE_FAN: 6,
+  ARRAY_BUFFER: 0x8892, ELEMENT_ARRAY_BUFFER: 0x8893,
+  STATIC_DRAW: 0x88E4, DYNAMIC_DRAW: 0x88E8,
+  BYTE: 0x1400, UNSIGNED_BYTE: 0x1401, SHORT: 0x1402, UNSIGNED_SHORT: 0x1403,
+  INT: 0x1404, UNSIGNED_INT: 0x1405, FLOAT: 0x1406,
+  CULL_FACE: 0x0B44, DEPTH_TEST: 0x0B71, BLEND: 0x0BE2,
+  POLYGON_OFFSET_FILL: 0x8037,
+  FRONT: 0x0404, BACK: 0x0405, LESS: 0x0201, LEQUAL: 0x0203,
+  SRC_ALPHA: 0x0302, ONE_MINUS_SRC_ALPHA: 0x0303,
+  TEXTURE_2D: 0x0DE1, TEXTURE0: 0x84C0, TEXTURE1: 0x84C1,
+  RGB: 0x1907, RGBA: 0x1908, DEPTH_COMPONENT: 0x1902,
+  NEAREST: 0x2600, LINEAR: 0x2601, CLAMP_TO_EDGE: 0x812F, REPEAT: 0x2901,
+  TEXTURE_MAG_FILTER: 0x2800, TEXTURE_MIN_FILTER: 0x2801,
+  TEXTURE_WRAP_S: 0x2802, TEXTURE_WRAP_T: 0x2803,
+  UNPACK_FLIP_Y_WEBGL: 0x9240,
+  FRAGMENT_SHADER: 0x8B30, VERTEX_SHADER: 0x8B31,
+  COMPILE_STATUS: 0x8B81, LINK_STATUS: 0x8B82,
+  FRAMEBUFFER: 0x8D40, RENDERBUFFER: 0x8D41,
+  COLOR_ATTACHMENT0: 0x8CE0, DEPTH_ATTACHMENT: 0x8D00,
+  DEPTH_COMPONENT16: 0x81A5, FRAMEBUFFER_COMPLETE: 0x8CD5,
+  FRAMEBUFFER_INCOMPLETE_ATTACHMENT: 0x8CD6,
+  MAX_TEXTURE_SIZE: 0x0D33, MAX_RENDERBUFFER_SIZE: 0x84E8
+};
+
+function createMockGL(options) {
+  options = options || {};
+  var nextId = 1;
+
+  var gl = {
+    canvas:              { width: options.width || 800, height: options.height || 600 },
+    drawingBufferWidth:  options.width  || 800,
+    drawingBufferHeight: options.height || 600,
+
+    program: null,   // set by initShaders() (cuon-utils.js)
+
+    log:     [],
+    draws:   [],
+    uploads: [],
+    state: {
+      program:        null,
+      arrayBuffer:    null,
+      elementBuffer:  null,
+      framebuffer:    null,   // null = the canvas
+      viewport:       [0, 0, options.width || 800, options.height || 600],
+      depthMask:      true,
+      enabled:        {},   // capability → true
+      activeTexture:  CONSTANTS.TEXTURE0,
+      textures:       {}    // texture unit → bound texture
+    },
+
+    _buffers:  [],
+    _uniforms: new Map()   // program → { name: value }
+  };
+  for (var k in CONSTANTS) gl[k] = CONSTANTS[k];
+
+  // ── Objects ───────────────────────────────────────────────
+  gl.createBuffer  = function() {
+    var b = { kind: 'buffer', id: nextId++, deleted: false };
+    gl._buffers.push(b);
+    return b;
+  };
+  gl.deleteBuffer  = function(b) { if (b) b.deleted = true; };
+  gl.createTexture = function() { return { kind: 'texture', id: nextId++ }; };
+  gl.createShader  = function(type) { return { kind: 'shader', id: nextId++, type: type }; };
+  gl.createProgram = function() { return { kind: 'program', id: nextId++, attribs: {} }; };
+  gl.createFramebuffer  = function() { return { kind: 'framebuffer', id: nextId++ }; };
+  gl.createRenderbuffer = function() { return { kind: 'renderbuffer', id: nextId++ }; };
+
+  gl.shaderSource = function(shader, src) { shader.source = src; };
+  gl.getShaderParameter  = function() { return true; };
+  gl.getProgramParameter = function() { return true; };
+  gl.getShaderInfoLog    = function() { return ''; };
+  gl.getProgramInfoLog   = function() { return ''; };
+  gl.checkFramebufferStatus = function() {
+    return options.incompleteFramebuffers ? CONSTANTS.FRAMEBUFFER_INCOMPLETE_ATTACHMENT
+                                          : CONSTANTS.FRAMEBUFFER_COMPLETE;
+  };
+  gl.getParameter = function(pname) {
+    if (pname === CONSTANTS.MAX_TEXTURE_SIZE || pname === CONSTANTS.MAX_RENDERBUFFER_SIZE) {
+      return options.maxTextureSize || 4096;
+    }
+    return null;
+  };
+  gl.getExtension = function(name) {
+    return (options.extensions || []).indexOf(name) >= 0 ? { name: name } : null;
+  };
+
+  // Locations: attributes get small indices, uniforms a { program, name }
+  gl.getAttribLocation = function(program, name) {
+    if (!(name in program.attribs)) program.attribs[name] = Object.keys(program.attribs).length;
+    return program.attribs[name];
+  };
+  gl.getUniformLocation = function(program, name) {
+    return { kind: 'uniform', program: program, name: name };
+  };
+
+  // ── State ─────────────────────────────────────────────────
+  gl.useProgram = function(p) { gl.state.program = p; };
+  gl.bindBuffer = function(target, b) {
+    if (target === CONSTANTS.ARRAY_BUFFER) gl.state.arrayBuffer   = b;
+    else                                   gl.state.elementBuffer = b;
+  };
+  gl.bufferData = function(target, data) {
+    var b = target === CONSTANTS.ARRAY_BUFFER ? gl.state.arrayBuffer : gl.state.elementBuffer;
+    if (b) b.data = data;
+    gl.uploads.push({ target: target, buffer: b, data: data });
+  };
+  gl.bindFramebuffer = function(target, fb) { gl.state.framebuffer = fb; };
+  gl.viewport  = function(x, y, w, h) { gl.state.viewport = [x, y, w, h]; };
+  gl.depthMask = function(flag) { gl.state.depthMask = !!flag; };
+  gl.enable    = function(cap) { gl.state.enabled[cap] = true; };
+  gl.disable   = function(cap) { delete gl.state.enabled[cap]; };
+  gl.activeTexture = function(unit) { gl.state.activeTexture = unit; };
+  gl.bindTexture   = function(target, t) { gl.state.textures[gl.state.activeTexture] = t; };
+
+  function setUniform(loc, value) {
+    if (!loc) return;
+    if (!gl._uniforms.has(loc.program)) gl._uniforms.set(loc.program, {});
+    // copy: callers reuse their scratch arrays
+    gl._uniforms.get(loc.program)[loc.name] =
+      (value && typeof value === 'object') ? Array.from(value) : value;
+  }
+  gl.uniform1f  = function(loc, x)       { setUniform(loc, x); };
+  gl.uniform1i  = function(loc, x)       { setUniform(loc, x); };
+  gl.uniform2f  = function(loc, x, y)    { setUniform(loc, [x, y]); };
+  gl.uniform3f  = function(loc, x, y, z) { setUniform(loc, [x, y, z]); };
+  gl.uniform4f  = function(loc, x, y, z, w) { setUniform(loc, [x, y, z, w]); };
+  gl.uniform3fv = function(loc, v) { setUniform(loc, v); };
+  gl.uniform4fv = function(loc, v) { setUniform(loc, v); };
+  gl.uniformMatrix4fv = function(loc, transpose, m) { setUniform(loc, m); };
+
+  // ── Draws ─────────────────────────────────────────────────
+  function recordDraw(fn, mode, count, buffer) {
+    var s = gl.state;
+    gl.draws.push({
+      fn:        fn,
+      mode:      mode,
+      count:     count,
+      program:   s.program,
+      depthMask: s.depthMask,
+      enabled:   Object.assign({}, s.enabled),
+      buffer:    buffer,
+      framebuffer: s.framebuffer,
+      uniforms:  Object.assign({}, gl._uniforms.get(s.program))
+    });
+  }
+  gl.drawArrays = function(mode, first, count) {
+    recordDraw('drawArrays', mode, count, gl.state.arrayBuffer);
+  };
+  gl.drawElements = function(mode, count) {
+    recordDraw('drawElements', mode, count, gl.state.elementBuffer);
+  };
+
+  // ── Queries for tests ─────────────────────────────────────
+  gl.calls = function(fn) {
+    return gl.log.filter(function(c) { return c.fn === fn; });
+  };
+  gl.uniform = function(name, program) {
+    var values = gl._uniforms.get(program || gl.state.program);
+    return values ? values[name] : undefined;
+  };
+  gl.liveBuffers = function() {
+    return gl._buffers.filter(function(b) { return !b.deleted; });
+  };
+  gl.reset = function() {
+    gl.log.length = gl.draws.length = gl.uploads.length = 0;
+  };
+
+  var QUERIES = { calls: 1, uniform: 1, liveBuffers: 1, reset: 1 };
+
+  // Log every GL method call; anything unmodelled is a logged no-op
+  return new Proxy(gl, {
+    get: function(target, name) {
+      if (typeof name !== 'string') return target[name];
+      var value = target[name];
+      if (value === undefined && /^[a-z]/.test(name) && !(name in target)) {
+        value = function() {};
+      }
+      if (typeof value !== 'function' || QUERIES[name]) return value;
+      return function() {
+        var args = Array.prototype.slice.call(arguments);
+        target.log.push({ fn: name, args: args });
+        return value.apply(target, args);
+      };
+    }
+  });
+}
+
+module.exports = { createMockGL: createMockGL, CONSTANTS: CONSTANTS };
@@ -0,0 +1,366 @@
+// ============================================================
+//  test/render.test.js  —  The render path, on the mock GL context
+// ============================================================
+
+'use strict';
+
+var test   = require('node:test');
+var assert = require('assert');
+var h      = require('./helpers');
+var mockGL = require('./mock-gl');
+
+function chunkBuffers(game) {
+  return game.g_chunks.map(function(c) { return c.batch && c.batch.vbo; });
+}
+
+function worldDraws(game, draws) {
+  var vbos = chunkBuffers(game);
+  return draws.filter(function(d) { return vbos.indexOf(d.buffer) >= 0; });
+}
+
+// ── Cube and CubeBatch ────────────────────────────────────────
+
+test('Cube.render is one 36-vertex draw with its matrix and colour', function() {
+  var game = h.newRenderer(), gl = game.gl;
+  var cube = new game.Cube();
+  cube.color = [1, 0, 0, 1];
+  cube.textureNum = -1;
+  cube.matrix.setTranslate(3, 4, 5);
+
+  gl.useProgram(gl.program);
+  gl.reset();
+  cube.render(gl, game.g_locs);
+  assert.strictEqual(gl.draws.length, 1);
+  var d = gl.draws[0];
+  assert.deepEqual([d.fn, d.mode, d.count], ['drawArrays', gl.TRIANGLES, 36]);
+  assert.deepEqual(d.uniforms.u_ModelMatrix.slice(12, 15), [3, 4, 5]);
+  assert.deepEqual(d.uniforms.u_baseColor, [1, 0, 0, 1]);
+  assert.strictEqual(d.uniforms.u_texColorWeight, 0);
+
+  cube.textureNum = 1;
+  cube.render(gl, game.g_locs);
+  assert.strictEqual(gl.draws[1].uniforms.u_texColorWeight, 1);
+});
+
+test('CubeBatch.build uploads 36 vertices per cube and draws them at once', function() {
+  var game = h.newRenderer(), gl = game.gl;
+  var batch = new game.CubeBatch();
+  var cubes = [0, 1, 2].map(function(i) {
+    return { tx: i, ty: 0, tz: 0, sx: 1, sy: 1, sz: 1, texNum: 0 };
+  });
+
+  gl.reset();
+  batch.build(gl, cubes);
+  assert.strictEqual(batch.vertCount, 3 * 36);
+  assert.strictEqual(gl.uploads.length, 1);
+  assert.strictEqual(gl.uploads[0].data.length, 3 * 36 * game.BATCH_FLOATS);
+
+  batch.draw(gl, game.g_locs);
+  assert.strictEqual(gl.draws.length, 1);
+  assert.strictEqual(gl.draws[0].count, 3 * 36);
+  assert.strictEqual(gl.draws[0].buffer, batch.vbo);
+});
+
+test('rebuilding or destroying a batch frees its old buffer', function() {
+  var game  = h.newRenderer(), gl = game.gl;
+  var batch = new game.CubeBatch();
+  var cube  = { tx: 0, ty: 0, tz: 0, sx: 1, sy: 1, sz: 1, texNum: 0 };
+  var live  = gl.liveBuffers().length;
+
+  batch.build(gl, [cube]);
+  var first = batch.vbo;
+  batch.build(gl, [cube, cube]);
+  assert.strictEqual(first.deleted, true);
+  assert.strictEqual(gl.liveBuffers().length, live + 1);
+
+  batch.destroy(gl);
+  assert.strictEqual(gl.liveBuffers().length, live);
+  gl.reset();
+  batch.draw(gl, game.g_locs);
+  assert.strictEqual(gl.draws.length, 0, 'an empty batch draws nothing');
+});
+
+test('_ss draws indexed geometry with the sheep shader', function() {
+  var game = h.newRenderer(), gl = game.gl;
+  var m    = new game.Matrix4().setTranslate(1, 2, 3);
+
+  gl.reset();
+  game.beginSheepPass(gl, game.camera);
+  game._ss(gl, m, new Float32Array([0.5, 0.25, 1]), game.g_sheepCubeData);
+  var d = gl.draws[0];
+  assert.strictEqual(d.fn, 'drawElements');
+  assert.strictEqual(d.program, game.g_sheepProgram);
+  assert.strictEqual(d.count, game.g_sheepCubeData.numIndices);
+  assert.strictEqual(d.buffer, game.g_sheepCubeData.indexBuffer);
+  assert.deepEqual(d.uniforms.u_Color, [0.5, 0.25, 1]);
+  assert.deepEqual(d.uniforms.u_ModelMatrix.slice(12, 15), [1, 2, 3]);
+});
+
+// ── World mesh ────────────────────────────────────────────────
+
+test('a lone block meshes to its five visible faces', function() {
+  var game = h.newRenderer({ level: h.flatLevel(8, 8, 0) });
+  game.setBlock(3, 0, 3, game.BLOCK_STONE);
+  h.canvasDraws(game);
+  assert.strictEqual(game.g_chunks[0].batch.vertCount, 5 * 6);   // bottom is on the ground
+});
+
+test('greedy meshing merges a row of blocks into the same five quads', function() {
+  var game = h.newRenderer({ level: h.flatLevel(8, 8, 0) });
+  for (var x = 1; x < 6; x++) game.setBlock(x, 0, 3, game.BLOCK_STONE);
+  h.canvasDraws(game);
+  assert.strictEqual(game.g_chunks[0].batch.vertCount, 5 * 6);
+
+  game.g_greedyMeshing = false;
+  game.buildWorld();
+  h.canvasDraws(game);
+  assert.strictEqual(game.g_chunks[0].batch.vertCount, (5 * 3 + 2) * 6);
+});
+
+test('CubeBatch.vertCount across the chunks matches the map', function() {
+  var game = h.newRenderer({ level: h.flatLevel(20, 20, 3) });
+  game.addBlock(7, 7); game.addBlock(8, 7); game.addBlock(8, 7);
+  game.g_greedyMeshing = false;   // one quad per exposed face
+  h.canvasDraws(game);
+
+  // Count faces between a block and air by hand
+  var w = game.g_world, faces = 0;
+  var dirs = [[1,0,0], [-1,0,0], [0,1,0], [0,-1,0], [0,0,1], [0,0,-1]];
+  for (var y = 0; y < w.height; y++)
+    for (var z = 0; z < w.depth; z++)
+      for (var x = 0; x < w.width; x++) {
+        if (!game.isSolidBlock(x, y, z)) continue;
+        dirs.forEach(function(d) {
+          var ny = y + d[1];
+          if (ny >= 0 && !game.isSolidBlock(x + d[0], ny, z + d[2])) faces++;
+        });
+      }
+
+  var total = game.g_chunks.reduce(function(n, c) { return n + c.batch.vertCount; }, 0);
+  assert.strictEqual(total, faces * 6);
+});
+
+// ── renderScene ───────────────────────────────────────────────
+
+test('the world draws in one call per non-empty chunk', function() {
+  var game = h.newRenderer({ level: h.flatLevel(20, 20) });
+  var draws = h.canvasDraws(game);
+  var chunks = game.g_chunks.filter(function(c) { return c.batch.vertCount > 0; });
+  assert.strictEqual(game.g_chunks.length, 9);
+  assert.strictEqual(chunks.length, 8, 'the middle chunk is empty floor');
+  assert.strictEqual(worldDraws(game, draws).length, chunks.length);
+});
+
+test('the sky draws first, in its own program, with depth writes off', function() {
+  var game  = h.newRenderer();
+  var draws = h.canvasDraws(game);
+  var sky   = draws[0];
+  assert.strictEqual(sky.program, game.g_skyProgram);
+  assert.strictEqual(sky.count, 36);
+  h.near(sky.uniforms.u_Zenith,  game.g_skyColor);
+  h.near(sky.uniforms.u_Horizon, game.g_horizonColor);
+  assert.strictEqual(sky.depthMask, false);
+  draws.slice(1).forEach(function(d) { assert.strictEqual(d.depthMask, true); });
+  assert.strictEqual(game.gl.state.depthMask, true, 'restored for the next frame');
+});
+
+test('a frame draws sky, ground, world, then the sheep pass', function() {
+  var game  = h.newRenderer();
+  var draws = h.canvasDraws(game);
+  var world = worldDraws(game, draws);
+  var sheepPass = draws.filter(function(d) { return d.program === game.g_sheepProgram; });
+
+  assert.strictEqual(draws[1].uniforms.u_ModelMatrix[13], -0.5, 'ground');
+  assert.strictEqual(draws.indexOf(world[0]), 2);
+  assert.strictEqual(sheepPass.length, 7 * game.g_enemies.length, '7 cubes per enemy');
+  assert.strictEqual(draws.indexOf(sheepPass[0]), 2 + world.length);
+  assert.strictEqual(game.gl.state.program, game.gl.program, 'world shader restored');
+});
+
+test('the crosshair target gets a wire box', function() {
+  var game = h.newRenderer();
+  var lines = function(draws) {
+    return draws.filter(function(d) { return d.mode === game.gl.LINES; });
+  };
+  assert.strictEqual(lines(h.canvasDraws(game)).length, 0, 'nothing in reach');
+
+  game.addBlock(10, 8); game.addBlock(10, 8);   // up to eye height
+  var wire = lines(h.canvasDraws(game));
+  assert.strictEqual(wire.length, 1);
+  assert.strictEqual(wire[0].count, 24);
+  h.near(wire[0].uniforms.u_ModelMatrix.slice(12, 15), [10.5, 1.5, 8.5], 0.01);
+  assert.deepEqual([game.g_frameTarget.x, game.g_frameTarget.y, game.g_frameTarget.z], [10, 1, 8],
+                   'kept for the HUD');
+});
+
+test('enemies are not drawn in build mode', function() {
+  var game = h.newRenderer();
+  game.toggleBuildMode();
+  var draws = h.canvasDraws(game);
+  var sheepPass = draws.filter(function(d) { return d.program === game.g_sheepProgram; });
+  assert.strictEqual(sheepPass.length, 0);
+});
+
+test('frames without edits upload nothing', function() {
+  var game = h.newRenderer();
+  h.canvasDraws(game);
+  h.canvasDraws(game);
+  assert.strictEqual(game.gl.uploads.length, 0);
+  assert.strictEqual(game.gl.calls('texImage2D').length, 0);
+});
+
+test('an edit re-uploads only the chunks it touches', function() {
+  var game = h.newRenderer({ level: h.flatLevel(24, 24) });
+  h.canvasDraws(game);
+  var before = chunkBuffers(game);
+
+  game.addBlock(12, 12);   // middle of the centre chunk
+  h.canvasDraws(game);
+  assert.strictEqual(game.gl.uploads.length, 1);
+  assert.strictEqual(game.gl.uploads[0].buffer, game.g_chunks[4].batch.vbo);
+
+  game.addBlock(8, 12);    // on the centre chunk's west border
+  h.canvasDraws(game);
+  assert.strictEqual(game.gl.uploads.length, 2);
+  assert.notStrictEqual(chunkBuffers(game)[3], before[3]);
+});
+
+test('loading a level repaints the atlas and frees the old chunks', function() {
+  var game = h.newRenderer({ level: h.flatLevel(24, 24) });
+  h.canvasDraws(game);
+  var old = chunkBuffers(game);
+
+  game.loadLevel(h.flatLevel(8, 8));
+  h.canvasDraws(game);
+  assert.strictEqual(game.gl.calls('texImage2D').length, 1);
+  old.forEach(function(b) { assert.strictEqual(b.deleted, true); });
+  assert.strictEqual(game.g_chunks.length, 1);
+  h.near(game.g_groundCube.matrix.elements.slice(12, 15), [4, -0.5, 4]);
+});
+
+test('an image tile that arrives after a newer level is ignored', function() {
+  var game   = h.newRenderer();
+  var images = [];
+  game.Image = function() { images.push(this); };
+  var level  = h.flatLevel(8, 8);
+  level.textures = ['stone.png'];
+  game.loadLevel(level);
+  h.canvasDraws(game);
+  assert.strictEqual(images.length, 1);
+
+  game.loadLevel(h.flatLevel(8, 8));
+  h.canvasDraws(game);
+  game.gl.reset();
+  images[0].onload();
+  assert.strictEqual(game.gl.calls('texImage2D').length, 0, 'the stale image is not uploaded');
+
+  game.loadLevel(level);
+  h.canvasDraws(game);
+  game.gl.reset();
+  images[1].onload();
+  assert.strictEqual(game.gl.calls('texImage2D').length, 1, 'the current one is');
+});
+
+test('the mock counts GL constants as real WebGL values', function() {
+  var gl = mockGL.createMockGL();
+  assert.strictEqual(gl.TRIANGLES, 4);
+  assert.strictEqual(gl.ARRAY_BUFFER, 0x8892);
+  gl.someFutureCall(1, 2);
+  assert.deepEqual(gl.calls('someFutureCall')[0].args, [1, 2]);
+});
+
+// ── Lighting ──────────────────────────────────────────────────
+
+test('batch vertices carry the normal of their face', function() {
+  var game = h.newRenderer({ level: h.flatLevel(8, 8, 0) });
+  game.setBlock(3, 0, 3, game.BLOCK_STONE);
+  h.canvasDraws(game);
+  var buf = game.g_chunks[0].batch.vbo.data, F = game.BATCH_FLOATS;
+  var normals = {};
+  for (var v = 0; v < buf.length / F; v++) {
+    normals[Array.from(buf.slice(v * F + 12, v * F + 15)).join(',')] = true;
+  }
+  assert.deepEqual(Object.keys(normals).sort(),
+                   ['-1,0,0', '0,0,-1', '0,0,1', '0,1,0', '1,0,0']);
+});
+
+test('the cube template has a unit outward normal on every vertex', function() {
+  var T = h.newRenderer()._buildCubeVerts();
+  for (var v = 0; v < 36; v++) {
+    var p = T.slice(v * 8, v * 8 + 3), n = T.slice(v * 8 + 5, v * 8 + 8);
+    var axis = n.findIndex(function(c) { return c !== 0; });
+    assert.strictEqual(Math.abs(n[axis]), 1);
+    assert.strictEqual(p[axis], n[axis] * 0.5, 'vertex ' + v + ' lies on its face');
+  }
+});
+
+test('the world and sheep passes draw under the same light', function() {
+  var game  = h.newRenderer({ level: h.flatLevel(20, 12) });
+  game.g_light.pointColor = [0.2, 0.3, 0.4];   // ambient and sun follow the clock
+  var draws = h.canvasDraws(game);
+  var world = worldDraws(game, draws)[0];
+  var enemy = draws.filter(function(d) { return d.program === game.g_sheepProgram; })[0];
+  ['u_Ambient', 'u_SunDir', 'u_SunColor', 'u_LightPos', 'u_LightColor', 'u_LightRange']
+    .forEach(function(name) {
+      assert.ok(world.uniforms[name] !== undefined, name + ' set');
+      assert.deepEqual(enemy.uniforms[name], world.uniforms[name], name);
+    });
+  h.near(world.uniforms.u_LightColor, [0.2, 0.3, 0.4]);
+  h.near(world.uniforms.u_LightPos, [10, 20, 6]);
+  var d = world.uniforms.u_SunDir;
+  h.near([Math.hypot(d[0], d[1], d[2])], [1], 1e-6);
+});
+
+test('outlines are unlit, blocks and ground are lit', function() {
+  var game = h.newRenderer();
+  game.addBlock(10, 8); game.addBlock(10, 8);
+  var draws = h.canvasDraws(game);
+  assert.strictEqual(draws[1].uniforms.u_lightWeight, 1, 'ground');
+  worldDraws(game, draws).forEach(function(d) { assert.strictEqual(d.uniforms.u_lightWeight, 1); });
+  var wire = draws.filter(function(d) { return d.mode === game.gl.LINES; })[0];
+  assert.strictEqual(wire.uniforms.u_lightWeight, 0);
+});
+
+// ── Fog ───────────────────────────────────────────────────────
+
+var FOG_UNIFORMS = ['u_FogMode', 'u_FogDensity', 'u_FogStart', 'u_FogEnd', 'u_FogColor'];
+
+test('the world and sheep passes fade into the same fog', function() {
+  var game  = h.newRenderer({ level: h.flatLevel(20, 12) });
+  var draws = h.canvasDraws(game);
+  var world = worldDraws(game, draws)[0];
+  var enemy = draws.filter(function(d) { return d.program === game.g_sheepProgram; })[0];
+  FOG_UNIFORMS.forEach(function(name) {
+    assert.ok(world.uniforms[name] !== undefined, name + ' set');
+    assert.deepEqual(enemy.uniforms[name], world.uniforms[name], name);
+  });
+  assert.strictEqual(world.uniforms.u_FogMode, game.FOG_MODES.exp);
+  h.near(world.uniforms.u_FogColor, game.g_horizonColor, 1e-6);
+});
+
+test('the fog follows the horizon through the day', function() {
+  var game = h.newRenderer();
+  game.setClock({ time: 12 });
+  var noon = h.canvasDraws(game)[1].uniforms.u_FogColor;
+  game.setClock({ time: 1 });
+  var night = h.canvasDraws(game)[1].uniforms.u_FogColor;
+  assert.ok(night[2] < noon[2] / 4, 'dark at night');
+  h.near(night, game.g_horizonColor, 1e-6);
+});
+
+test('fog mode, density and colour can be changed', function() {
+  var game = h.newRenderer();
+  game.g_fog.mode    = 'linear';
+  game.g_fog.density = 0.05;
+  game.g_fog.color   = [0.5, 0.25, 1];
+  var draws = h.canvasDraws(game);
+  assert.strictEqual(draws[1].uniforms.u_FogMode, game.FOG_MODES.linear);
+  h.near([draws[1].uniforms.u_FogDensity], [0.05]);
+  h.near(draws[1].uniforms.u_FogColor, [0.5, 0.25, 1]);
+  h.near(draws[0].uniforms.u_Horizon, [0.5, 0.25, 1], 1e-6, 'the sky meets the fog');
+
+  game.g_fog.mode = 'off';
+  assert.strictEqual(h.canvasDraws(game)[1].uniforms.u_FogMode, 0);
+  game.g_fog.mode = 'constructor';
+  assert.strictEqual(h.canvasDraws(game)[1].uniforms.u_FogMode, game.FOG_MODES.exp, 'unknown: exp');
+});
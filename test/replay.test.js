@@ -0,0 +1,94 @@
+// ============================================================
+//  test/replay.test.js  —  Recording, playback and seeking
+// ============================================================
+
+'use strict';
+
+var test   = require('node:test');
+var assert = require('assert');
+var h      = require('./helpers');
+
+// Record: remove the block ahead, then walk, turn and shoot
+function record(game) {
+  game.addBlock(10, 8); game.addBlock(10, 8);   // up to eye height
+  game.startRecording();
+  game.simStep(game.SIM_DT, [['y'], 0, 0, 0, 0]);
+  h.stepFor(game, 40, [['w'], 3, 1, 0, 0]);
+  h.stepFor(game, 20, [[], 0, 0, 1, 0]);
+  return game.stopRecording();
+}
+
+function snapshot(game) {
+  return {
+    eye:     Array.from(game.camera.eye),
+    yaw:     game.camera.yaw,
+    enemies: game.g_enemies.map(function(e) { return [e.x, e.z, e.health]; }),
+    bullets: game.g_bullets.length,
+    voxels:  Array.from(game.g_world.voxels),
+    next:    game.random()
+  };
+}
+
+test('playback reproduces the recorded run', function() {
+  var game   = h.newGame();
+  var replay = record(game);
+  var live   = snapshot(game);
+  assert.strictEqual(game.getBlock(10, 1, 8), game.BLOCK_AIR, 'the block was removed');
+
+  assert.strictEqual(game.startPlayback(replay), true);
+  h.stepFor(game, replay.frames.length);
+  assert.deepStrictEqual(snapshot(game), live);
+  assert.strictEqual(game.g_replayPaused, true, 'paused on the last frame');
+});
+
+test('a replay with a bad frame, seed or start is refused up front', function() {
+  var game = h.newGame();
+  var good = JSON.stringify(record(game));
+  var breaks = [
+    function(r) { r.frames[3] = 5; },
+    function(r) { r.frames[3] = [['w'], 0, 0, -1, 0]; },
+    function(r) { r.frames[3] = [[1], 0, 0, 0, 0]; },
+    function(r) { r.seed = 'abc'; },
+    function(r) { delete r.start.player; }
+  ];
+  breaks.forEach(function(edit, i) {
+    var replay = JSON.parse(good);
+    edit(replay);
+    var serial = game.g_levelSerial;
+    var started = h.quietly(game, function() { return game.startPlayback(replay); });
+    assert.strictEqual(started, false, 'case ' + i);
+    assert.strictEqual(game.g_replayState, 'off');
+    assert.strictEqual(game.g_levelSerial, serial, 'nothing loaded');
+  });
+});
+
+test('seeking back rewinds in place and lands on the same state', function() {
+  var game   = h.newGame();
+  var replay = record(game);
+  game.startPlayback(replay);
+  game.seekReplay(replay.frames.length);
+  var end    = snapshot(game);
+  var world  = game.g_world;
+  var serial = game.g_levelSerial;
+
+  game.g_chunks.forEach(function(c) { c.dirty = false; });
+  game.seekReplay(0);
+  assert.strictEqual(game.g_world, world, 'the level is not reloaded');
+  assert.strictEqual(game.g_levelSerial, serial, 'so the atlas is not repainted');
+  assert.strictEqual(game.getBlock(10, 1, 8), game.BLOCK_STONE, 'the removed block is back');
+  var dirty = game.g_chunks.filter(function(c) { return c.dirty; })
+                           .map(function(c) { return [c.cx, c.cz]; });
+  assert.deepEqual(dirty, [[1, 0], [1, 1]], 'only the edited chunk and its neighbour');
+
+  game.seekReplay(replay.frames.length);
+  assert.deepStrictEqual(snapshot(game), end);
+});
+
+test('texture seeds come from the level, not the gameplay stream', function() {
+  var game = h.newGame();
+  var seed = game.levelSeed('texture:0');
+  record(game);
+  assert.strictEqual(game.levelSeed('texture:0'), seed);
+  game.seedRandom(12345);
+  assert.strictEqual(game.levelSeed('texture:0'), seed);
+});
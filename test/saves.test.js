@@ -0,0 +1,75 @@
+// ============================================================
+//  test/saves.test.js  —  Capturing, checking and restoring state
+// ============================================================
+
+'use strict';
+
+var test   = require('node:test');
+var assert = require('assert');
+var h      = require('./helpers');
+
+// A captured state from another game, broken by `edit`
+function brokenState(edit) {
+  var state = JSON.parse(JSON.stringify(h.newGame({ level: h.flatLevel(12, 12) }).captureGameState()));
+  edit(state);
+  return state;
+}
+
+var BAD_STATES = {
+  'no player':          function(s) { delete s.player; },
+  'player yaw missing': function(s) { delete s.player.yaw; },
+  'string feetY':       function(s) { s.player.feetY = '1'; },
+  'no health':          function(s) { delete s.health; },
+  'score not a number': function(s) { s.score = null; },
+  'enemies object':     function(s) { s.enemies = {}; },
+  'enemy without x':    function(s) { s.enemies = [{ z: 1, health: 3, bobTime: 0 }]; },
+  'no clock':           function(s) { delete s.clock; }
+};
+
+Object.keys(BAD_STATES).forEach(function(name) {
+  test('a state with ' + name + ' is rejected before the world changes', function() {
+    var game   = h.newGame();
+    var world  = game.g_world;
+    var serial = game.g_levelSerial;
+    var state  = brokenState(BAD_STATES[name]);
+    assert.ok(game.gameStateProblem(state));
+    assert.strictEqual(h.quietly(game, function() { return game.restoreGameState(state); }), false);
+    assert.strictEqual(game.g_world, world);
+    assert.strictEqual(game.g_levelSerial, serial);
+  });
+});
+
+test('a captured state restores into another game', function() {
+  var game = h.newGame();
+  game.addBlock(10, 8);
+  h.stepFor(game, 30, [['w'], 5, 0, 0, 0]);
+  game.g_score = 7;
+  var state = JSON.parse(JSON.stringify(game.captureGameState()));
+  assert.strictEqual(game.gameStateProblem(state), null);
+
+  var other = h.newGame({ level: h.flatLevel(12, 12) });
+  assert.strictEqual(other.restoreGameState(state), true);
+  assert.strictEqual(other.getBlockHeight(10, 8), 1);
+  h.near(other.camera.eye, game.camera.eye);
+  assert.strictEqual(other.camera.yaw, game.camera.yaw);
+  assert.strictEqual(other.g_score, 7);
+  assert.strictEqual(other.g_enemies.length, game.g_enemies.length);
+});
+
+test('version 1 saves take their clock from the level', function() {
+  var game = h.newGame();
+  var save = JSON.parse(JSON.stringify(game.captureGameState()));
+  delete save.clock;
+  save.version     = 1;
+  save.level.clock = { time: 20, dayLength: 90 };
+
+  save = game._migrateSave(save);
+  assert.strictEqual(save.version, game.SAVE_VERSION);
+  assert.deepEqual(save.clock, { time: 20, dayLength: 90 });
+  assert.strictEqual(game.restoreGameState(save), true);
+  assert.strictEqual(game.g_clock.time, 20);
+
+  delete save.level.clock;
+  save.version = 1;
+  assert.deepEqual(game._migrateSave(save).clock, game.g_clockDefaults, 'no clock: the defaults');
+});
@@ -0,0 +1,136 @@
+// ============================================================
+//  test/shadow.test.js  —  Shadow map pass and quality settings
+// ============================================================
+
+'use strict';
+
+var test   = require('node:test');
+var assert = require('assert');
+var h      = require('./helpers');
+
+// The last frame's draws into the shadow map
+function intoMap(game) {
+  return game.gl.draws.filter(function(d) { return d.framebuffer !== null; });
+}
+
+// [x, y, z] of a world point in the light's clip space
+function lightClip(game, x, y, z) {
+  var v = game.g_lightMatrix.multiplyVector4(new game.Vector4([x, y, z, 1])).elements;
+  return [v[0] / v[3], v[1] / v[3], v[2] / v[3]];
+}
+
+// ── Shadow pass ───────────────────────────────────────────────
+
+test('chunks, sheep and enemies are drawn into the map before the sky', function() {
+  var game   = h.newRenderer({ level: h.flatLevel(20, 20) });
+  game.g_sheepPositions = [{ x: 6, z: 6 }];
+  var canvas = h.canvasDraws(game);
+  var draws  = game.gl.draws;
+  var shadow = intoMap(game);
+  var chunks = game.g_chunks.filter(function(c) { return c.batch.vertCount > 0; });
+  var vbos   = chunks.map(function(c) { return c.batch.vbo; });
+
+  assert.ok(game.g_enemies.length > 0);
+  shadow.forEach(function(d) { assert.strictEqual(d.program, game.g_shadowProgram); });
+  assert.strictEqual(shadow.filter(function(d) { return vbos.indexOf(d.buffer) >= 0; }).length,
+                     chunks.length, 'one draw per chunk');
+  var entities = shadow.filter(function(d) { return d.fn === 'drawElements'; });
+  var sheepPass = canvas.filter(function(d) { return d.program === game.g_sheepProgram; });
+  assert.strictEqual(entities.length, sheepPass.length, 'every sheep and enemy part casts');
+  assert.strictEqual(draws.indexOf(shadow[shadow.length - 1]) + 1, draws.indexOf(canvas[0]));
+});
+
+test('the canvas, viewport and atlas unit are restored after the pass', function() {
+  var game = h.newRenderer();
+  h.canvasDraws(game);
+  var gl = game.gl;
+  assert.strictEqual(gl.state.framebuffer, null);
+  assert.deepEqual(gl.state.viewport, [0, 0, 800, 600]);
+  assert.strictEqual(gl.state.activeTexture, gl.TEXTURE0);
+  assert.ok(game._shadowTexture);
+  assert.strictEqual(gl.state.textures[gl.TEXTURE1], game._shadowTexture, 'map on unit 1');
+  assert.deepEqual(gl.calls('viewport')[0].args, [0, 0, game.g_shadowSize, game.g_shadowSize]);
+});
+
+test('enemies cast no shadows in build mode', function() {
+  var game = h.newRenderer();
+  h.canvasDraws(game);
+  var before = intoMap(game).length;
+  game.g_buildMode = true;
+  h.canvasDraws(game);
+  assert.strictEqual(intoMap(game).length, before - 7 * game.g_enemies.length);
+});
+
+// ── Receivers ─────────────────────────────────────────────────
+
+test('the world and sheep passes sample the map through the light matrix', function() {
+  var game  = h.newRenderer({ level: h.flatLevel(20, 12) });
+  var canvas = h.canvasDraws(game);
+  var caster = intoMap(game)[0];
+  var world  = canvas[1];   // ground
+  var enemy  = canvas.filter(function(d) { return d.program === game.g_sheepProgram; })[0];
+  [world, enemy].forEach(function(d) {
+    h.near(d.uniforms.u_LightMatrix, caster.uniforms.u_LightMatrix);
+    assert.strictEqual(d.uniforms.u_ShadowMap, 1, 'texture unit 1');
+    assert.strictEqual(d.uniforms.u_ShadowOn, 1);
+    h.near([d.uniforms.u_ShadowTexel], [1 / 2048]);
+  });
+});
+
+test('the light view holds the whole world and looks along the sun', function() {
+  var game = h.newRenderer({ level: h.flatLevel(24, 16) });
+  [12, 20, 3].forEach(function(hour) {
+    game.setClock({ time: hour });
+    h.canvasDraws(game);
+    var w = game.g_world.width, ht = game.g_world.height, d = game.g_world.depth;
+    [0, w].forEach(function(x) { [0, ht].forEach(function(y) { [0, d].forEach(function(z) {
+      lightClip(game, x, y, z).forEach(function(c) { assert.ok(Math.abs(c) <= 1, hour + 'h: ' + c); });
+    }); }); });
+
+    var s = game.g_light.sunDir, len = Math.hypot(s[0], s[1], s[2]);
+    var low  = lightClip(game, w / 2, 1, d / 2);
+    var high = lightClip(game, w / 2 + s[0] / len * 3, 1 + s[1] / len * 3, d / 2 + s[2] / len * 3);
+    assert.ok(high[2] < low[2], 'nearer the sun is nearer the light');
+    h.near(high.slice(0, 2), low.slice(0, 2), 1e-6, 'and in the same texel');
+  });
+});
+
+// ── Quality ───────────────────────────────────────────────────
+
+test('the quality setting sizes the map, and off frees it', function() {
+  var game = h.newRenderer(), gl = game.gl;
+  assert.strictEqual(game.g_shadowQuality, 'medium');
+  assert.strictEqual(game.g_shadowSize, 2048);
+
+  assert.strictEqual(game.setShadowQuality(gl, 'low'), true);
+  assert.strictEqual(game.g_shadowSize, 1024);
+  assert.strictEqual(gl.calls('texImage2D').pop().args[3], 1024);
+  assert.strictEqual(gl.calls('renderbufferStorage').pop().args[2], 1024);
+  assert.strictEqual(gl.calls('deleteFramebuffer').length, 1, 'the old map is freed');
+
+  game.setShadowQuality(gl, 'off');
+  var draws = h.canvasDraws(game);
+  assert.strictEqual(game.g_shadowSize, 0);
+  assert.strictEqual(intoMap(game).length, 0);
+  draws.filter(function(d) { return d.uniforms.u_ShadowOn !== undefined; })
+       .forEach(function(d) { assert.strictEqual(d.uniforms.u_ShadowOn, 0); });
+
+  assert.strictEqual(game.setShadowQuality(gl, 'ultra'), false);
+  assert.strictEqual(game.setShadowQuality(gl, 'constructor'), false, 'not inherited keys');
+  assert.strictEqual(game.g_shadowQuality, 'off');
+});
+
+test('the map is never bigger than the GPU allows', function() {
+  var game = h.newRenderer({ gl: { maxTextureSize: 2048 } });
+  game.setShadowQuality(game.gl, 'high');
+  assert.strictEqual(game.g_shadowSize, 2048);
+});
+
+test('a GPU that cannot render the map gets no shadows instead of errors', function() {
+  var game = h.newRenderer({ gl: { incompleteFramebuffers: true } });
+  assert.strictEqual(game.g_shadowSize, 0);
+  var draws = h.canvasDraws(game);
+  assert.strictEqual(intoMap(game).length, 0);
+  assert.strictEqual(draws[1].uniforms.u_ShadowOn, 0);
+  assert.strictEqual(game.setShadowQuality(game.gl, 'low'), false);
+});
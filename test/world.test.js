@@ -0,0 +1,101 @@
+// ============================================================
+//  test/world.test.js  —  Voxel store, column edits and meshing
+// ============================================================
+
+'use strict';
+
+var test   = require('node:test');
+var assert = require('assert');
+var h      = require('./helpers');
+var mockGL = require('./mock-gl');
+
+test('getBlockHeight reads column tops and is 0 outside the map', function() {
+  var game = h.newGame();
+  assert.strictEqual(game.getBlockHeight(5, 5), 0);
+  assert.strictEqual(game.getBlockHeight(0, 5), 4);
+  assert.strictEqual(game.getBlockHeight(15, 15), 4);
+  assert.strictEqual(game.getBlockHeight(-1, 5), 0);
+  assert.strictEqual(game.getBlockHeight(5, 16), 0);
+  assert.strictEqual(game.getBlockHeight(16, -3), 0);
+});
+
+test('addBlock stacks onto a column and removeBlock pops it', function() {
+  var game = h.newGame();
+  assert.strictEqual(game.addBlock(5, 6), true);
+  assert.strictEqual(game.addBlock(5, 6, game.BLOCK_BRICK), true);
+  assert.strictEqual(game.getBlockHeight(5, 6), 2);
+  assert.strictEqual(game.getBlock(5, 0, 6), game.BLOCK_STONE);
+  assert.strictEqual(game.getBlock(5, 1, 6), game.BLOCK_BRICK);
+
+  assert.strictEqual(game.removeBlock(5, 6), true);
+  assert.strictEqual(game.getBlockHeight(5, 6), 1);
+  assert.strictEqual(game.getBlock(5, 1, 6), game.BLOCK_AIR);
+});
+
+test('removeBlock on an empty column does nothing', function() {
+  var game = h.newGame();
+  assert.strictEqual(game.removeBlock(5, 6), false);
+  assert.strictEqual(game.getBlockHeight(5, 6), 0);
+});
+
+test('addBlock stacks a column no higher than MAX_COLUMN_HEIGHT', function() {
+  var game = h.newGame();
+  var top = game.MAX_COLUMN_HEIGHT;
+  for (var i = 0; i < top; i++) assert.strictEqual(game.addBlock(3, 3), true);
+  assert.strictEqual(game.getBlockHeight(3, 3), top);
+  assert.strictEqual(game.addBlock(3, 3), false);
+  assert.strictEqual(game.getBlockHeight(3, 3), top);
+});
+
+test('column edits outside the map are rejected', function() {
+  var game = h.newGame();
+  assert.strictEqual(game.addBlock(-1, 4), false);
+  assert.strictEqual(game.addBlock(4, 16), false);
+  assert.strictEqual(game.removeBlock(16, 4), false);
+  assert.strictEqual(game.setBlock(0, game.g_world.height, 0, game.BLOCK_STONE), false);
+  assert.strictEqual(game.getBlock(-1, 0, 0), game.BLOCK_AIR);
+});
+
+test('column edits are undoable, a quick burst as one step', function() {
+  var game = h.newGame();
+  game.addBlock(7, 7);
+  game.removeBlock(0, 7);
+  assert.strictEqual(game.getBlockHeight(0, 7), 3);
+  game.undoEdit();
+  assert.strictEqual(game.getBlockHeight(0, 7), 4);
+  assert.strictEqual(game.getBlockHeight(7, 7), 0);
+  game.redoEdit();
+  assert.strictEqual(game.getBlockHeight(0, 7), 3);
+  assert.strictEqual(game.getBlockHeight(7, 7), 1);
+});
+
+test('raycastBlock reports the block hit and the face entered', function() {
+  var game = h.newGame();
+  var hit = game.raycastBlock(8.5, 1.5, 8.5, 1, 0, 0, 20);
+  assert.deepEqual([hit.x, hit.y, hit.z, hit.nx, hit.ny, hit.nz], [15, 1, 8, -1, 0, 0]);
+  assert.ok(Math.abs(hit.dist - 6.5) < 1e-9);
+
+  var down = game.raycastBlock(8.5, 1.5, 8.5, 0, -1, 0, 5);
+  assert.deepEqual([down.x, down.y, down.z, down.ny], [8, -1, 8, 1]);
+
+  assert.strictEqual(game.raycastBlock(8.5, 1.5, 8.5, 1, 0, 0, 3), null);
+});
+
+test('edits only re-mesh the chunks they touch', function() {
+  var game = h.newGame({ level: h.flatLevel(40, 40) });
+  var gl   = mockGL.createMockGL();
+  game.initCubeBuffer(gl);
+  game.rebuildBatches(gl);
+  assert.ok(game.g_chunks.every(function(c) { return !c.dirty && c.batch; }));
+
+  var chunk  = game.g_chunks[0];
+  var before = chunk.batch.vertCount;
+  game.addBlock(5, 5);
+  var dirty = game.g_chunks.filter(function(c) { return c.dirty; });
+  assert.strictEqual(dirty.length, 1);
+  assert.strictEqual(dirty[0], chunk);
+
+  game.rebuildBatches(gl);
+  assert.strictEqual(chunk.dirty, false);
+  assert.ok(chunk.batch.vertCount > before, 'the new block adds faces');
+});
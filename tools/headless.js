@@ -0,0 +1,91 @@
+// ============================================================
+//  tools/headless.js  —  Run the simulation under Node
+//
+//  The game is plain browser scripts sharing globals, so this
+//  loads the simulation's scripts (everything index.html loads
+//  except the third-party GL helpers and src/main.js) into a fresh
+//  vm context, in the same order, and hands back that context.
+//  Every global is a property on it:
+//
+//    var headless = require('./tools/headless');
+//    var game = headless.createGame({ seed: 1 });
+//    game.simStep(game.SIM_DT, [['w'], 0, 0, 0, 0]);   // walk forward
+//    game.camera.eye, game.g_enemies, game.getBlock(1, 0, 1) ...
+//
+//  Options:
+//    seed  — random seed (default 1), see src/random.js
+//    level — level object or JSON string (default: the built-in one)
+//
+//  No canvas, GPU, DOM or audio is touched: world edits only mark
+//  chunks dirty, and nothing here ever re-meshes them.
+// ============================================================
+
+'use strict';
+
+var fs   = require('fs');
+var path = require('path');
+var vm   = require('vm');
+
+var ROOT = path.join(__dirname, '..');
+
+// Keep in step with the <script> tags in index.html
+var SIM_SCRIPTS = [
+  'lib/cuon-matrix.js',
+  'src/random.js',
+  'src/light.js',
+  'src/daynight.js',
+  'src/sky.js',
+  'src/shadow.js',
+  'src/camera.js',
+  'src/cube.js',
+  'src/blocks.js',
+  'src/world.js',
+  'src/chunks.js',
+  'src/history.js',
+  'src/build.js',
+  'src/sheep.js',
+  'src/enemies.js',
+  'src/gun.js',
+  'src/sound.js',
+  'src/level.js',
+  'src/generate.js',
+  'src/saves.js',
+  'src/sim.js',
+  'src/replay.js'
+];
+
+// Class declarations don't become global properties on their own
+var CLASSES = ['Camera', 'Cube', 'CubeBatch'];
+
+// A context with just the scripts loaded (all of SIM_SCRIPTS unless
+// a list is given) — nothing initialised yet. `globals` adds extra
+// globals first, e.g. stand-ins for window and document.
+function loadScripts(scripts, globals) {
+  var ctx = vm.createContext(Object.assign({ console: console }, globals));
+  (scripts || SIM_SCRIPTS).forEach(function(file) {
+    var src = fs.readFileSync(path.join(ROOT, file), 'utf8');
+    vm.runInContext(src, ctx, { filename: file });
+  });
+  CLASSES.forEach(function(name) {
+    ctx[name] = vm.runInContext('typeof ' + name + ' === "function" ? ' + name + ' : undefined', ctx);
+  });
+  return ctx;
+}
+
+// A context ready to step: seeded, camera created, level loaded
+function createGame(options) {
+  options = options || {};
+  var game = loadScripts();
+  game.seedRandom(options.seed === undefined ? 1 : options.seed);
+  game.initSimulation();
+  if (!game.loadLevel(options.level || game.defaultLevel())) {
+    throw new Error('headless: level failed to load');
+  }
+  return game;
+}
+
+module.exports = {
+  SIM_SCRIPTS: SIM_SCRIPTS,
+  loadScripts: loadScripts,
+  createGame:  createGame
+};